@@ -0,0 +1,33 @@
+// Vercel API endpoint for signing in
+//   GET  /api/auth   { authRequired, methods, user } - whether the browser needs to sign in, and as whom it is signed in
+//   POST /api/auth   { passphrase, name } or { token } -> { token, user, expiresAt }; send the token as "Authorization: Bearer <token>"
+const { isAuthEnabled, userTokensEnabled, identify, login } = require('../lib/auth');
+const { HttpError, json, createRoute, cors, allowMethods, jsonBody, requestLogger } = require('../lib/pipeline');
+
+async function handleAuth(ctx) {
+  if (ctx.method === 'GET') {
+    const methods = [];
+    if (process.env.TEAM_PASSPHRASE) methods.push('passphrase');
+    if (userTokensEnabled()) methods.push('token');
+    const user = isAuthEnabled() ? await identify(ctx.header('authorization')) : null;
+    return json({ authRequired: isAuthEnabled(), methods, user }, 200, { 'Cache-Control': 'no-store' });
+  }
+
+  if (!isAuthEnabled()) {
+    throw new HttpError(400, 'Authentication is off', 'This deployment does not require signing in');
+  }
+  const { passphrase, name, token } = ctx.body;
+  if (!passphrase && !token) {
+    throw new HttpError(400, 'Missing credentials', 'Send a "passphrase" and your "name", or a personal "token"');
+  }
+  const session = await login({ passphrase, name, token });
+  console.log(`Signed in ${session.user.id} with a ${passphrase ? 'passphrase' : 'personal token'}`);
+  return json(session, 200, { 'Cache-Control': 'no-store' });
+}
+
+module.exports = createRoute([
+  cors({ methods: ['GET', 'POST'] }),
+  requestLogger('Auth API'),
+  allowMethods(['GET', 'POST']),
+  jsonBody()
+], handleAuth).node;
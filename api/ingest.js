@@ -0,0 +1,189 @@
+// Vercel API endpoint for ingesting documents into the MongoDB RAG collection
+const { MongoClient } = require('mongodb');
+const crypto = require('crypto');
+const { MAX_INGEST_FILES, MAX_INGEST_BODY_BYTES, extractDocument, chunkPages } = require('../lib/documents');
+const { embedTexts, getEmbeddingConfig } = require('../lib/embeddings');
+const { HttpError, json, createRoute, cors, allowMethods, jsonBody, requestLogger } = require('../lib/pipeline');
+const { authenticate } = require('../lib/auth');
+const { isKnowledgeBaseCollection, describeKnowledgeBaseCollections } = require('../lib/retrieval');
+
+// Keep uploads within what a serverless function can process in one call
+const MAX_CHUNKS = 2000;
+
+async function handleIngest(ctx) {
+  let client;
+  try {
+    const { files, collectionName, chunkSize, chunkOverlap, tags, author, date } = ctx.body;
+
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new HttpError(400, 'At least one file is required', 'Send the files to ingest as "files"');
+    }
+
+    if (files.length > MAX_INGEST_FILES) {
+      throw new HttpError(400, 'Too many files', `Upload at most ${MAX_INGEST_FILES} at a time.`);
+    }
+
+    const uri = process.env.MONGODB_URI;
+    const dbName = process.env.MONGODB_DB_NAME;
+    const collection = collectionName || process.env.MONGODB_COLLECTION;
+
+    if (!uri || !dbName) {
+      throw new HttpError(500, 'MongoDB configuration missing', 'Please set MONGODB_URI and MONGODB_DB_NAME in your environment variables');
+    }
+
+    if (!collection) {
+      throw new HttpError(400, 'Collection name is required', 'Pick a collection or set MONGODB_COLLECTION on the server');
+    }
+
+    if (!isKnowledgeBaseCollection(collection)) {
+      throw new HttpError(400, 'Not a knowledge base collection', `${collection}: ${describeKnowledgeBaseCollections()}`);
+    }
+
+    // Extract and chunk every file before touching the database
+    // Chunks are keyed by file name, so two files with the same name would overwrite each other
+    const documents = [];
+    const seenNames = new Set();
+    for (const file of files) {
+      if (!file || !file.name || !file.content) {
+        throw new HttpError(400, 'Invalid file', 'Each file needs a name and content');
+      }
+
+      if (seenNames.has(file.name)) {
+        throw new HttpError(400, 'Duplicate file name', `${file.name} appears more than once; rename one of the files`);
+      }
+      seenNames.add(file.name);
+
+      let extracted;
+      try {
+        extracted = await extractDocument(file);
+      } catch (extractError) {
+        throw new HttpError(400, `Could not read ${file.name}`, extractError.message);
+      }
+
+      const chunks = chunkPages(extracted.pages, {
+        source: file.name,
+        chunkSize,
+        chunkOverlap
+      });
+
+      // Document date used by the date filters: per-file, request-wide, then the upload time
+      const documentDate = file.date || date;
+      if (documentDate && isNaN(new Date(documentDate).getTime())) {
+        throw new HttpError(400, 'Invalid date', `Invalid date for ${file.name}: ${documentDate}`);
+      }
+
+      console.log(`Extracted ${extracted.pages.length} page(s), ${chunks.length} chunk(s) from ${file.name}`);
+      documents.push({
+        name: file.name,
+        documentType: extracted.documentType,
+        author: file.author || author || null,
+        date: documentDate ? new Date(documentDate) : null,
+        chunks
+      });
+    }
+
+    const allChunks = documents.flatMap(doc => doc.chunks);
+    if (allChunks.length === 0) {
+      throw new HttpError(400, 'No text found', 'No text could be extracted from the uploaded files');
+    }
+
+    if (allChunks.length > MAX_CHUNKS) {
+      throw new HttpError(413, 'Upload too large', `The files produced ${allChunks.length} chunks; the limit is ${MAX_CHUNKS} per request.`);
+    }
+
+    // Compute embeddings for every chunk
+    const embeddingConfig = getEmbeddingConfig();
+    const embeddings = await embedTexts(allChunks.map(chunk => chunk.text));
+    console.log(`Computed ${embeddings.length} embeddings with ${embeddingConfig.provider}/${embeddingConfig.model}`);
+
+    // Connect to MongoDB
+    client = new MongoClient(uri);
+    await client.connect();
+    console.log('Connected to MongoDB');
+
+    const coll = client.db(dbName).collection(collection);
+    const now = new Date();
+    const documentTags = Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string') : [];
+
+    // Upsert chunks keyed by source + position so re-uploading a file replaces it
+    let embeddingIndex = 0;
+    const summary = [];
+    for (const doc of documents) {
+      const operations = doc.chunks.map(chunk => ({
+        updateOne: {
+          filter: { source: chunk.source, chunkIndex: chunk.chunkIndex },
+          update: {
+            $set: {
+              text: chunk.text,
+              embedding: embeddings[embeddingIndex++],
+              embeddingModel: `${embeddingConfig.provider}/${embeddingConfig.model}`,
+              source: chunk.source,
+              page: chunk.page,
+              chunkIndex: chunk.chunkIndex,
+              documentType: doc.documentType,
+              tags: documentTags,
+              author: doc.author,
+              date: doc.date || now,
+              contentHash: crypto.createHash('sha256').update(chunk.text).digest('hex'),
+              updatedAt: now
+            },
+            $setOnInsert: { createdAt: now }
+          },
+          upsert: true
+        }
+      }));
+
+      const result = operations.length > 0 ? await coll.bulkWrite(operations, { ordered: false }) : null;
+
+      // Remove chunks left over from a longer previous version of the same file
+      const removed = await coll.deleteMany({
+        source: doc.name,
+        chunkIndex: { $gte: doc.chunks.length }
+      });
+
+      summary.push({
+        source: doc.name,
+        documentType: doc.documentType,
+        chunks: doc.chunks.length,
+        inserted: result ? result.upsertedCount : 0,
+        updated: result ? result.modifiedCount : 0,
+        removed: removed.deletedCount
+      });
+    }
+
+    // Make sure the lexical fallback in /api/rag has a text index to use
+    try {
+      await coll.createIndex({ text: 'text' });
+    } catch (indexError) {
+      console.warn(`Could not create text index: ${indexError.message}`);
+    }
+
+    console.log(`Ingested ${allChunks.length} chunks into ${collection}`);
+
+    return json({
+      collection,
+      embeddingModel: `${embeddingConfig.provider}/${embeddingConfig.model}`,
+      totalChunks: allChunks.length,
+      documents: summary
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    console.error('Ingest API error:', error);
+    throw new HttpError(500, 'Error processing ingest request', error.message);
+  } finally {
+    // Close MongoDB connection
+    if (client) {
+      await client.close();
+      console.log('Closed MongoDB connection');
+    }
+  }
+}
+
+module.exports = createRoute([
+  cors({ methods: ['POST'] }),
+  requestLogger('Ingest API'),
+  authenticate(),
+  allowMethods(['POST']),
+  jsonBody({ maxBytes: MAX_INGEST_BODY_BYTES })
+], handleIngest).node;
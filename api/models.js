@@ -0,0 +1,21 @@
+// Vercel API endpoint listing the models the gateway can route to
+//   GET /api/models   { models: [{ id, name, provider, providerName, maxTokens, capabilities, tags, description, available }], defaultModel }
+const { listModels, getDefaultModel } = require('../lib/providers');
+const { HttpError, json, createRoute, cors, allowMethods } = require('../lib/pipeline');
+const { authenticate } = require('../lib/auth');
+
+module.exports = createRoute([
+  cors({ methods: ['GET'] }),
+  authenticate(),
+  allowMethods(['GET'])
+], async () => {
+  try {
+    const models = await listModels();
+    // Availability follows server configuration, so don't let browsers hold on to it for long. The
+    // list is only for signed-in users, so shared caches and CDNs must not keep it.
+    return json({ models, defaultModel: getDefaultModel(models) }, 200, { 'Cache-Control': 'private, max-age=60' });
+  } catch (error) {
+    console.error('Models API error:', error);
+    throw new HttpError(500, 'Error listing models', error.message);
+  }
+}).node;
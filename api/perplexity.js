@@ -1,195 +1,129 @@
 // Vercel/Netlify Function to handle Perplexity API requests
 const fetch = require('node-fetch');
+const { HttpError, json, createRoute, cors, allowMethods, jsonBody, requestLogger } = require('../lib/pipeline');
+const { authenticate } = require('../lib/auth');
+const { RATE_LIMIT_HEADERS, rateLimit } = require('../lib/ratelimit');
+const { USAGE_REQUEST_HEADERS, finalizeUsage, recordUsage } = require('../lib/usage');
 
-module.exports = async (req, res) => {
-  // Log function invocation to help with debugging
-  console.log("Perplexity API endpoint called:", new Date().toISOString());
+const REQUEST_TIMEOUT = 25000;
+const PERPLEXITY_MODEL = 'sonar-pro';
+// How usage and prices name this model
+const MODEL_ID = `perplexity/${PERPLEXITY_MODEL}`;
 
-  // Handle OPTIONS request for CORS
-  if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.status(204).end();
-    return;
+// Citations arrive as tool calls on some responses
+function extractSources(message) {
+  if (!message.tool_calls) return [];
+  try {
+    const citations = message.tool_calls.filter(
+      tool => tool.function.name === "citation" || tool.function.name === "web_search"
+    );
+    if (citations.length > 0) console.log(`Found ${citations.length} citations in response`);
+
+    return citations.map(citation => {
+      try {
+        const args = JSON.parse(citation.function.arguments);
+        return {
+          title: args.title || "Source",
+          url: args.url || "",
+          snippet: args.snippet || ""
+        };
+      } catch (e) {
+        console.error("Error parsing citation arguments:", e);
+        return { title: "Citation", url: "#" };
+      }
+    });
+  } catch (e) {
+    console.warn("Error parsing citations:", e);
+    return [];
+  }
+}
+
+async function handleSearch(ctx) {
+  const API_KEY = process.env.PERPLEXITY_API_KEY;
+  if (!API_KEY) {
+    console.error("ERROR: Perplexity API key is missing");
+    throw new HttpError(500, 'Perplexity API key not configured on server', 'Set PERPLEXITY_API_KEY to enable web search');
   }
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Allow', 'POST');
-    res.status(405).json({ error: 'Method Not Allowed' });
-    return;
+  const { query } = ctx.body;
+  if (!query) {
+    throw new HttpError(400, 'Missing required parameter: query', 'Send the search question as "query"');
   }
 
+  // Log the query (truncate if very long)
+  console.log(`Perplexity query: "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"`);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
   try {
-    // Get Perplexity API key from environment variable
-    const API_KEY = process.env.PERPLEXITY_API_KEY;
-    console.log("Environment check: PERPLEXITY_API_KEY exists?", !!API_KEY);
-    
-    if (!API_KEY) {
-      console.error("ERROR: Perplexity API key is missing");
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(500).json({ error: 'Perplexity API key not configured on server' });
-      return;
-    }
+    const response = await fetch('https://api.perplexity.ai/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`
+      },
+      body: JSON.stringify({
+        model: PERPLEXITY_MODEL,
+        messages: [
+          {
+            role: "system",
+            content: "You are a helpful assistant that provides accurate information with online search capabilities."
+          },
+          {
+            role: "user",
+            content: query
+          }
+        ],
+        temperature: 0.7,
+        max_tokens: 2048,
+        stream: false
+      }),
+      signal: controller.signal
+    });
 
-    // Parse the request body
-    let requestBody;
-    try {
-      requestBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
-    } catch (parseError) {
-      console.error("Failed to parse request body:", parseError);
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(400).json({ 
-        error: 'Invalid JSON in request body', 
-        message: parseError.message 
-      });
-      return;
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Perplexity API error (${response.status}): ${errorText}`);
+      throw new HttpError(response.status, `Perplexity API Error: ${response.statusText}`, errorText);
     }
 
-    // Validate the query parameter
-    if (!requestBody.query) {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(400).json({ error: 'Missing required parameter: query' });
-      return;
-    }
+    const data = await response.json();
+    console.log("Perplexity API response received successfully");
+    ctx.state.usage = data.usage;
 
-    // Log the query (truncate if very long)
-    const truncatedQuery = requestBody.query.substring(0, 100) + 
-                          (requestBody.query.length > 100 ? '...' : '');
-    console.log(`Perplexity query: "${truncatedQuery}"`);
-    
-    // Set a timeout for the request
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 25000); // 25 seconds timeout
-    
-    try {
-      // Forward the request to Perplexity API
-      const response = await fetch('https://api.perplexity.ai/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${API_KEY}`
-        },
-        body: JSON.stringify({
-          model: "sonar-pro",
-          messages: [
-            { 
-              role: "system", 
-              content: "You are a helpful assistant that provides accurate information with online search capabilities." 
-            },
-            { 
-              role: "user", 
-              content: requestBody.query 
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 2048,
-          stream: false
-        }),
-        signal: controller.signal
-      });
-      
-      // Clear the timeout
-      clearTimeout(timeoutId);
-      
-      // Check if response is ok
-      if (!response.ok) {
-        let errorText = await response.text();
-        console.error(`Perplexity API error (${response.status}): ${errorText}`);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.status(response.status).json({ 
-          error: `Perplexity API Error: ${response.statusText}`, 
-          details: errorText
-        });
-        return;
-      }
-      
-      // Parse the response data
-      const data = await response.json();
-      console.log("Perplexity API response received successfully");
-      
-      // Extract the answer and any citations/sources
-      let responseData = {
-        answer: data.choices[0].message.content,
-        sources: []
-      };
-      
-      // Check if there are any tool calls for citations
-      if (data.choices[0].message.tool_calls) {
-        try {
-          // Extract citations if they exist in the tool_calls
-          const citations = data.choices[0].message.tool_calls.filter(
-            tool => tool.function.name === "citation" || tool.function.name === "web_search"
-          );
-          
-          if (citations.length > 0) {
-            console.log(`Found ${citations.length} citations in response`);
-            
-            // Parse citation arguments and add to sources
-            responseData.sources = citations.map(citation => {
-              try {
-                const args = JSON.parse(citation.function.arguments);
-                return {
-                  title: args.title || "Source",
-                  url: args.url || "",
-                  snippet: args.snippet || ""
-                };
-              } catch (e) {
-                console.error("Error parsing citation arguments:", e);
-                return { title: "Citation", url: "#" };
-              }
-            });
-          }
-        } catch (e) {
-          console.warn("Error parsing citations:", e);
-        }
-      }
-      
-      // Return processed response
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-      res.status(200).json(responseData);
-      
-    } catch (fetchError) {
-      // Clear the timeout to prevent memory leaks
-      clearTimeout(timeoutId);
-      
-      // Check if this is an abort error (timeout)
-      if (fetchError.name === 'AbortError') {
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.status(504).json({ 
-          error: 'Gateway Timeout', 
-          message: 'The request to the Perplexity API took too long to complete (>25 seconds).'
-        });
-        return;
-      }
-      
-      // Handle other fetch errors
-      console.error("Fetch error:", fetchError);
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(500).json({ 
-        error: 'Request Failed', 
-        message: fetchError.message
-      });
+    const message = data.choices[0].message;
+    ctx.state.completionText = message.content;
+    return json({
+      answer: message.content,
+      sources: extractSources(message),
+      usage: finalizeUsage(ctx, MODEL_ID)
+    }, 200, { 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+
+  } catch (fetchError) {
+    if (fetchError instanceof HttpError) throw fetchError;
+
+    if (fetchError.name === 'AbortError') {
+      throw new HttpError(504, 'Gateway Timeout', `The request to the Perplexity API took too long to complete (>${REQUEST_TIMEOUT / 1000} seconds).`);
     }
-  } catch (error) {
-    console.error('Function error:', error.message, error.stack);
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.status(500).json({ 
-      error: 'Internal Server Error', 
-      message: error.message
-    });
+
+    console.error("Fetch error:", fetchError);
+    throw new HttpError(500, 'Request Failed', fetchError.message);
+  } finally {
+    clearTimeout(timeoutId);
   }
-};
+}
+
+module.exports = createRoute([
+  cors({
+    methods: ['POST'],
+    allowHeaders: ['Content-Type', 'Authorization', ...USAGE_REQUEST_HEADERS],
+    exposeHeaders: RATE_LIMIT_HEADERS
+  }),
+  requestLogger('Perplexity API'),
+  authenticate(),
+  allowMethods(['POST']),
+  jsonBody(),
+  rateLimit({ getModel: () => MODEL_ID }),
+  recordUsage({ source: 'search', getModel: () => MODEL_ID })
+], handleSearch).node;
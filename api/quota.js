@@ -0,0 +1,26 @@
+// Vercel API endpoint reporting how much of their limits the caller has left
+//   GET /api/quota?model=<id>   { rateLimit: { requests, windowSeconds }, quota: { model, limit, used, remaining, resetAt }, models: [...] }
+// limit and remaining are null when the budget is off; models lists every model used today.
+const { json, createRoute, cors, allowMethods } = require('../lib/pipeline');
+const { authenticate } = require('../lib/auth');
+const { getLimits, getSubject, getQuota, listQuotas } = require('../lib/ratelimit');
+
+async function handleQuota(ctx) {
+  const subject = getSubject(ctx);
+  const [quota, models] = await Promise.all([
+    ctx.query.model ? getQuota(subject, String(ctx.query.model)) : null,
+    listQuotas(subject)
+  ]);
+  const limits = getLimits(ctx.query.model);
+  return json({
+    rateLimit: { requests: limits.requests, windowSeconds: limits.windowMs / 1000 },
+    quota,
+    models
+  }, 200, { 'Cache-Control': 'no-store' });
+}
+
+module.exports = createRoute([
+  cors({ methods: ['GET'] }),
+  authenticate(),
+  allowMethods(['GET'])
+], handleQuota).node;
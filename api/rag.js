@@ -1,130 +1,234 @@
 // Vercel API endpoint for MongoDB RAG functionality
+//   GET  /api/rag   list the knowledge base collections
+//   POST /api/rag   search them
 const { MongoClient } = require('mongodb');
+const { embedQuery, getEmbeddingConfig } = require('../lib/embeddings');
+const {
+  DEFAULT_RRF_K,
+  DEFAULT_DEDUPE_THRESHOLD,
+  isKnowledgeBaseCollection,
+  describeKnowledgeBaseCollections,
+  buildMetadataFilter,
+  hasVectorIndex,
+  vectorSearch,
+  textSearch,
+  regexSearch,
+  reciprocalRankFusion,
+  dedupeChunks,
+  rerank
+} = require('../lib/retrieval');
+const { HttpError, json, createRoute, cors, allowMethods, jsonBody, requestLogger } = require('../lib/pipeline');
+const { authenticate } = require('../lib/auth');
 
-module.exports = async (req, res) => {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  // Handle preflight OPTIONS request
-  if (req.method === 'OPTIONS') {
-    res.status(204).end();
-    return;
+// Retrieval defaults - can be overridden per request
+const DEFAULT_K = 5;
+const MAX_K = 50;
+const DEFAULT_MIN_SCORE = 0;
+const RETRIEVAL_MODES = ['hybrid', 'vector', 'lexical'];
+const MAX_COLLECTIONS = 10;
+
+// Read a numeric option, clamping it to a sensible range
+function numberOption(value, fallback, min, max) {
+  const parsed = Number(value);
+  if (value === undefined || value === null || value === '' || isNaN(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+}
+
+// Collections to search: an explicit list, a single name, or the configured default
+function resolveCollections(body) {
+  const requested = Array.isArray(body.collections) ? body.collections : [body.collectionName];
+  const names = requested
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim());
+  if (names.length === 0 && process.env.MONGODB_COLLECTION) {
+    names.push(process.env.MONGODB_COLLECTION);
   }
+  return [...new Set(names)];
+}
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+// List the knowledge base collections so the UI can offer them as choices
+async function listCollections(uri, dbName) {
+  const client = new MongoClient(uri);
+  try {
+    await client.connect();
+    const collections = await client.db(dbName).listCollections({}, { nameOnly: true }).toArray();
+    return collections
+      .map(collection => collection.name)
+      .filter(isKnowledgeBaseCollection)
+      .sort();
+  } finally {
+    await client.close();
+  }
+}
+
+function getMongoConfig() {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB_NAME;
+  if (!uri || !dbName) {
+    throw new HttpError(500, 'MongoDB configuration missing', 'Please set MONGODB_URI and MONGODB_DB_NAME in your environment variables');
+  }
+  return { uri, dbName };
+}
+
+// GET lists the available collections
+async function handleCollections() {
+  const { uri, dbName } = getMongoConfig();
+  try {
+    const collections = await listCollections(uri, dbName);
+    return json({
+      collections,
+      defaultCollection: process.env.MONGODB_COLLECTION || null
+    });
+  } catch (error) {
+    console.error('RAG collections error:', error);
+    throw new HttpError(500, 'Error listing collections', error.message);
   }
+}
+
+// POST runs a query
+async function handleQuery(ctx) {
+  const body = ctx.body;
+  const { query } = body;
 
-  console.log('RAG API called:', new Date().toISOString());
+  if (!query) {
+    throw new HttpError(400, 'Query parameter is required', 'Send the question to search for as "query"');
+  }
 
+  let client;
   try {
-    // Parse request body
-    const { query, collectionName } = typeof req.body === 'string' 
-      ? JSON.parse(req.body) 
-      : req.body;
+    // Retrieval parameters
+    const k = Math.round(numberOption(body.k, parseInt(process.env.RAG_TOP_K) || DEFAULT_K, 1, MAX_K));
+    const numCandidates = Math.round(numberOption(body.numCandidates, Math.max(k * 20, 100), k, 10000));
+    const minScore = numberOption(body.minScore, parseFloat(process.env.RAG_MIN_SCORE) || DEFAULT_MIN_SCORE, 0, 1);
+    const vectorIndex = process.env.MONGODB_VECTOR_INDEX || 'vector_index';
+    const mode = RETRIEVAL_MODES.includes(body.mode) ? body.mode
+      : (RETRIEVAL_MODES.includes(process.env.RAG_MODE) ? process.env.RAG_MODE : 'hybrid');
+    const rrfK = numberOption(body.rrfK, DEFAULT_RRF_K, 1, 1000);
+    const dedupeThreshold = numberOption(body.dedupeThreshold, DEFAULT_DEDUPE_THRESHOLD, 0.5, 1);
+    const useRerank = body.rerank !== undefined ? body.rerank === true : process.env.RAG_RERANK === 'true';
+    // Each retriever returns a deeper list so fusion, dedupe and reranking have room to work
+    const candidateK = Math.max(k * 4, 20);
 
-    if (!query) {
-      return res.status(400).json({ error: 'Query parameter is required' });
+    // Metadata pre-filter shared by every retriever and collection
+    let filter;
+    try {
+      filter = buildMetadataFilter(body.filter);
+    } catch (filterError) {
+      throw new HttpError(400, 'Invalid filter', filterError.message);
     }
 
+    const collections = resolveCollections(body);
+
     console.log(`RAG Query: "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"`);
-    console.log(`Collection: ${collectionName || process.env.MONGODB_COLLECTION}`);
+    console.log(`Collections: ${collections.join(', ')}`);
 
-    // Connect to MongoDB
-    const uri = process.env.MONGODB_URI;
-    const dbName = process.env.MONGODB_DB_NAME;
-    const defaultCollection = process.env.MONGODB_COLLECTION;
-    
-    if (!uri || !dbName) {
-      return res.status(500).json({ 
-        error: 'MongoDB configuration missing',
-        message: 'Please set MONGODB_URI and MONGODB_DB_NAME in your environment variables'
-      });
+    const { uri, dbName } = getMongoConfig();
+
+    // Use specified collections or default
+    if (collections.length === 0) {
+      throw new HttpError(400, 'Collection name is required', 'Pick a collection or set MONGODB_COLLECTION on the server');
     }
-    
-    // Use specified collection or default
-    const collection = collectionName || defaultCollection;
-    if (!collection) {
-      return res.status(400).json({ error: 'Collection name is required' });
+    if (collections.length > MAX_COLLECTIONS) {
+      throw new HttpError(400, 'Too many collections', `Search at most ${MAX_COLLECTIONS} at a time.`);
+    }
+    const forbidden = collections.filter(name => !isKnowledgeBaseCollection(name));
+    if (forbidden.length > 0) {
+      throw new HttpError(400, 'Not a knowledge base collection', `${forbidden.join(', ')}: ${describeKnowledgeBaseCollections()}`);
     }
 
     // Connect to MongoDB
-    const client = new MongoClient(uri);
+    client = new MongoClient(uri);
     await client.connect();
     console.log('Connected to MongoDB');
     
     const db = client.db(dbName);
-    const coll = db.collection(collection);
     
-    // Perform vector search if available, otherwise fallback to text search
-    let results;
-    try {
-      // Check if vector search is possible
-      const hasVectorSearch = await db.command({ listSearchIndexes: collection })
-        .then(result => {
-          const indexes = result.cursor.firstBatch;
-          return indexes.some(index => 
-            index.definition && 
-            index.definition.mappings && 
-            index.definition.mappings.fields && 
-            index.definition.mappings.fields.some(field => field.type === 'vector')
-          );
-        })
-        .catch(() => false);
-      
-      if (hasVectorSearch) {
-        // Perform vector search
-        console.log('Performing vector search');
-        results = await coll.aggregate([
-          {
-            $vectorSearch: {
-              index: 'vector_index',
-              queryVector: query,
-              path: 'embedding',
-              numCandidates: 100,
-              limit: 5
-            }
-          },
-          {
-            $project: {
-              _id: 0,
-              text: 1,
-              score: { $meta: 'vectorSearchScore' }
-            }
-          }
-        ]).toArray();
-      } else {
-        // Fallback to text search
-        console.log('Vector search not available, using text search');
-        results = await coll.find(
-          { $text: { $search: query } },
-          { 
-            score: { $meta: 'textScore' },
-            projection: { _id: 0, text: 1 } 
-          }
-        )
-        .sort({ score: { $meta: 'textScore' } })
-        .limit(5)
-        .toArray();
+    // Ranked result lists, one per retriever and collection
+    const lists = [];
+    const notes = [];
+    const addList = (retriever, collection, results) => {
+      lists.push({ retriever, collection, results: results.map(doc => ({ ...doc, collection })) });
+    };
+
+    // The query embedding is shared by every collection, so compute it at most once
+    let queryVectorPromise = null;
+    const getQueryVector = () => {
+      if (!queryVectorPromise) queryVectorPromise = embedQuery(query);
+      return queryVectorPromise;
+    };
+
+    // Semantic retriever - needs a vector index and a query embedding
+    const runVector = async (collection) => {
+      if (!(await hasVectorIndex(db, collection, vectorIndex))) {
+        notes.push(`No vector search index named "${vectorIndex}" on ${collection}`);
+        return;
+      }
+      try {
+        // Embed the query with the same provider used at ingestion time
+        console.log(`Performing vector search on ${collection} (numCandidates=${numCandidates}, minScore=${minScore})`);
+        const queryVector = await getQueryVector();
+        addList('vector', collection, await vectorSearch(db.collection(collection), queryVector, {
+          index: vectorIndex,
+          limit: candidateK,
+          numCandidates: Math.max(numCandidates, candidateK),
+          minScore,
+          filter
+        }));
+      } catch (vectorError) {
+        console.error('Vector search error:', vectorError);
+        notes.push(`Vector search on ${collection} failed: ${vectorError.message}`);
+      }
+    };
+
+    // Lexical retriever - text index, falling back to a keyword regex scan
+    const runLexical = async (collection) => {
+      const coll = db.collection(collection);
+      try {
+        addList('text', collection, await textSearch(coll, query, candidateK, filter));
+      } catch (textError) {
+        console.error('Text search error:', textError);
+        notes.push(`Text search on ${collection} failed: ${textError.message}`);
+        console.log('Falling back to simple query match');
+        addList('regex', collection, await regexSearch(coll, query, candidateK, filter));
       }
-    } catch (searchError) {
-      console.error('Search error:', searchError);
-      // Fallback to simple text match if searches fail
-      console.log('Falling back to simple query match');
-      results = await coll.find({
-        text: { $regex: query.split(' ').filter(w => w.length > 3).join('|'), $options: 'i' }
-      })
-      .limit(5)
-      .project({ _id: 0, text: 1 })
-      .toArray();
+    };
+
+    // Run the retrievers for this mode side by side across every collection
+    await Promise.all(collections.flatMap(collection => [
+      mode !== 'lexical' ? runVector(collection) : null,
+      mode !== 'vector' ? runLexical(collection) : null
+    ]));
+
+    // A vector-only request still needs an answer when the vector path is unavailable
+    if (lists.length === 0) {
+      await Promise.all(collections.map(collection => runLexical(collection)));
     }
-    
-    // Close MongoDB connection
-    await client.close();
-    console.log('Closed MongoDB connection');
+
+    // Fuse, drop near-duplicates, then optionally rerank before cutting to k
+    const fused = reciprocalRankFusion(lists, rrfK);
+    const deduped = dedupeChunks(fused, dedupeThreshold);
+    let ranked = deduped.results.slice(0, candidateK);
+    let reranker = null;
+    if (useRerank && ranked.length > 1) {
+      try {
+        const reranked = await rerank(query, ranked);
+        ranked = reranked.results;
+        reranker = reranked.provider;
+      } catch (rerankError) {
+        console.error('Rerank error:', rerankError);
+        notes.push(`Reranking failed: ${rerankError.message}`);
+      }
+    }
+
+    // Expose per-retriever scores and ranks on every source
+    const results = ranked.slice(0, k).map(({ _id, rrfScore, ...doc }) => ({
+      ...doc,
+      scores: { ...doc.scores, rrf: rrfScore },
+      score: doc.scores.rerank !== undefined ? doc.scores.rerank : rrfScore
+    }));
+    const retrievers = [...new Set(lists.map(list => list.retriever))];
+    const retrievalPath = retrievers.length > 1 ? 'hybrid' : retrievers[0];
+    const fallbackReason = notes.length > 0 ? notes.join('; ') : null;
 
     // Generate answer using the retrieved sources
     let answer = "";
@@ -138,17 +242,52 @@ module.exports = async (req, res) => {
       answer = "I couldn't find any relevant information in the knowledge base for your query. Please try a different query or more specific terms.";
     }
 
+    // Describe how the results were retrieved
+    const retrieval = {
+      path: retrievalPath,
+      mode,
+      retrievers,
+      collections,
+      filter: body.filter && filter ? body.filter : null,
+      k,
+      candidates: candidateK,
+      rrfK,
+      duplicatesRemoved: deduped.removed,
+      reranker,
+      fallbackReason
+    };
+    if (retrievers.includes('vector')) {
+      const embeddingConfig = getEmbeddingConfig();
+      retrieval.numCandidates = Math.max(numCandidates, candidateK);
+      retrieval.minScore = minScore;
+      retrieval.embeddingModel = `${embeddingConfig.provider}/${embeddingConfig.model}`;
+    }
+    console.log(`Retrieved ${results ? results.length : 0} result(s) via ${retrievalPath}`);
+
     // Return the answer and sources
-    res.status(200).json({
+    return json({
       answer,
-      sources: results || []
+      sources: results || [],
+      retrieval
     });
     
   } catch (error) {
+    if (error instanceof HttpError) throw error;
     console.error('RAG API error:', error);
-    res.status(500).json({
-      error: 'Error processing RAG request',
-      message: error.message
-    });
+    throw new HttpError(500, 'Error processing RAG request', error.message);
+  } finally {
+    // Close MongoDB connection
+    if (client) {
+      await client.close();
+      console.log('Closed MongoDB connection');
+    }
   }
-};
+}
+
+module.exports = createRoute([
+  cors({ methods: ['GET', 'POST'] }),
+  requestLogger('RAG API'),
+  authenticate(),
+  allowMethods(['GET', 'POST']),
+  jsonBody()
+], ctx => ctx.method === 'GET' ? handleCollections() : handleQuery(ctx)).node;
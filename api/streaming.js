@@ -1,79 +1,176 @@
 // api/streaming.js
-// This file is needed for streaming support - it seems it's missing from your files
+// Streaming chat completions. The upstream SSE stream is parsed line by line and re-sent as clean events:
+//   data: {...}       one upstream chunk (chat.completion.chunk format)
+//   event: error      { error: true, type, message, status? } - the stream ends after it
+//   event: usage      { prompt_tokens, completion_tokens, total_tokens, cost_usd, estimated } - just before [DONE]
+//   data: [DONE]      end of the stream
+// plus ": heartbeat" comments while the model is quiet, so proxies keep the connection open.
+// Upstreams are retried and failed over until one starts streaming; X-Upstream-* headers say which one did.
 
-const fetch = require('node-fetch');
-const { createReadStream } = require('stream');
+const { createSseParser, formatSseEvent, formatSseComment } = require('../lib/sse');
+const { UPSTREAM_HEADERS, fetchWithFailover, upstreamHeaders } = require('../lib/failover');
+const { sse, createRoute, cors, allowMethods, jsonBody, requestLogger } = require('../lib/pipeline');
+const { authenticate } = require('../lib/auth');
+const { RATE_LIMIT_HEADERS, rateLimit } = require('../lib/ratelimit');
+const { USAGE_REQUEST_HEADERS, finalizeUsage, recordUsage } = require('../lib/usage');
+const { MAX_CHAT_BODY_BYTES, validateChat } = require('../lib/validation');
 
-module.exports = async (req, res) => {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(204).end();
-  }
+const HEARTBEAT_INTERVAL = 15000;
+// Give up when the upstream sends nothing for this long
+const IDLE_TIMEOUT = 120000;
 
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+// Relay one completion. Everything that goes wrong after the request was accepted, including before
+// the upstream answers, is reported as an error event. Invalid requests are refused by validateChat first.
+async function handleStream(ctx) {
+  const requestBody = ctx.body;
 
-  try {
-    // Parse the request body
-    const requestBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  const controller = new AbortController();
+  let timedOut = false;
+  let idleTimer;
 
-    // Get the API key from environment
-    const apiKey = process.env.FIREWORKS_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: 'API key not configured on server' });
-    }
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, IDLE_TIMEOUT);
+  };
 
-    // Set up SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+  // Stop generating (and paying for) tokens nobody will read
+  const onClientClose = () => {
+    console.log('Client disconnected, aborting upstream stream');
+    clearTimeout(idleTimer);
+    controller.abort();
+  };
+  ctx.signal.addEventListener('abort', onClientClose, { once: true });
 
-    // Send request to Fireworks API
-    const response = await fetch('https://api.fireworks.ai/inference/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(requestBody)
-    });
+  const errorEvent = (type, message, extra = {}) => {
+    console.error(`Streaming ${type}: ${message}`);
+    return formatSseEvent({ error: true, type, message, ...extra }, 'error');
+  };
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      // Send error as an event
-      res.write(`data: ${JSON.stringify({ error: true, message: errorText })}\n\n`);
-      res.end();
-      return;
+  const describeFailure = (error) => {
+    if (timedOut) return errorEvent('upstream_timeout', `The model sent nothing for ${IDLE_TIMEOUT / 1000} seconds`);
+    if (error.code === 'circuit_open') {
+      return errorEvent('upstream_unavailable', error.message, { status: 503, retryAfter: error.retryAfter });
     }
+    return errorEvent('stream_error', error.message);
+  };
 
-    // Pipe the stream directly to the client
-    const stream = response.body;
-    stream.on('data', (chunk) => {
-      res.write(`data: ${chunk.toString()}\n\n`);
-    });
+  const cleanUp = () => {
+    clearTimeout(idleTimer);
+    ctx.signal.removeEventListener('abort', onClientClose);
+  };
 
-    stream.on('end', () => {
-      res.write(`data: [DONE]\n\n`);
-      res.end();
+  // Send the request to the model's provider, or an equivalent one if it keeps failing. The SSE
+  // headers wait for an upstream to answer so its X-Upstream-* headers can go along.
+  let upstream;
+  try {
+    resetIdleTimer();
+    // include_usage asks for a final chunk with the token counts
+    upstream = await fetchWithFailover(
+      { ...requestBody, stream: true, stream_options: { include_usage: true } },
+      { signal: controller.signal }
+    );
+  } catch (error) {
+    cleanUp();
+    if (ctx.signal.aborted) return { status: 499 };
+    // Nothing was generated, so recordUsage and rateLimit charge nothing for it
+    ctx.state.upstreamFailed = true;
+    const lastEvent = describeFailure(error);
+    return sse(async ({ write }) => {
+      write(formatSseComment('connected'));
+      write(lastEvent);
     });
+  }
 
-    stream.on('error', (err) => {
-      console.error('Stream error:', err);
-      res.write(`data: ${JSON.stringify({ error: true, message: err.message })}\n\n`);
-      res.end();
-    });
+  // What the reply cost: the upstream's usage report when it sends one, otherwise the text
+  // streamed so far is estimated (see finalizeUsage)
+  ctx.state.completionText = '';
+  const trackUsage = (chunk) => {
+    if (chunk.usage) ctx.state.usage = chunk.usage;
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    if (delta) ctx.state.completionText += (delta.content || '') + (delta.reasoning_content || '');
+  };
 
-  } catch (error) {
-    console.error('Error:', error);
-    res.write(`data: ${JSON.stringify({ error: true, message: error.message })}\n\n`);
-    res.end();
-  }
-};
+  const { response, route, attempts } = upstream;
+  ctx.state.servedModel = route.model.id;
+  return sse(async ({ write, signal }) => {
+    write(formatSseComment('connected'));
+    const heartbeat = setInterval(() => write(formatSseComment('heartbeat')), HEARTBEAT_INTERVAL);
+
+    try {
+      if (!response.ok) {
+        ctx.state.upstreamFailed = true;
+        const errorText = await response.text();
+        write(errorEvent('upstream_error', errorText || response.statusText, { status: response.status }));
+        return;
+      }
+
+      let upstreamDone = false;
+      let failed = false;
+      const parser = createSseParser(({ data }) => {
+        if (upstreamDone) return;
+        if (data === '[DONE]') {
+          upstreamDone = true;
+          return;
+        }
+
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch (parseError) {
+          console.warn('Skipping malformed upstream event:', data.slice(0, 200));
+          return;
+        }
+
+        // Some providers report failures inside the stream instead of with a status code
+        if (chunk.error) {
+          upstreamDone = true;
+          failed = true;
+          if (!ctx.state.usage && !ctx.state.completionText) ctx.state.upstreamFailed = true;
+          write(errorEvent('upstream_error', chunk.error.message || JSON.stringify(chunk.error)));
+          return;
+        }
+        trackUsage(chunk);
+        write(formatSseEvent(chunk));
+      });
+
+      for await (const data of response.body) {
+        resetIdleTimer();
+        parser.push(data);
+        if (upstreamDone) break;
+      }
+      parser.end();
+      if (!failed) {
+        write(formatSseEvent(finalizeUsage(ctx, route.model.id), 'usage'));
+        write(formatSseEvent('[DONE]'));
+      }
+
+    } catch (error) {
+      if (!ctx.state.usage && !ctx.state.completionText) ctx.state.upstreamFailed = true;
+      if (!signal.aborted) write(describeFailure(error));
+    } finally {
+      clearInterval(heartbeat);
+      cleanUp();
+    }
+  }, upstreamHeaders(route, attempts));
+}
+
+module.exports = createRoute([
+  cors({
+    methods: ['POST'],
+    allowHeaders: ['Content-Type', 'Authorization', ...USAGE_REQUEST_HEADERS],
+    exposeHeaders: [...UPSTREAM_HEADERS, ...RATE_LIMIT_HEADERS]
+  }),
+  requestLogger('Streaming API'),
+  authenticate(),
+  allowMethods(['POST']),
+  jsonBody({ maxBytes: MAX_CHAT_BODY_BYTES }),
+  validateChat(),
+  rateLimit(),
+  recordUsage({ source: 'stream' })
+], handleStream).node;
 
 // Fixed Perplexity Integration
 function initWebSearch() {
@@ -0,0 +1,124 @@
+// Vercel API endpoint for syncing conversation threads through MongoDB
+//   GET    /api/threads          list thread summaries (including deleted ones, so clients can prune)
+//   POST   /api/threads          create a thread, or merge into it if it already exists
+//   GET    /api/threads/:id      fetch one thread
+//   PUT    /api/threads/:id      merge a client's copy into the stored thread
+//   DELETE /api/threads/:id      delete a thread
+// Threads belong to the signed-in user (ctx.state.user); other users' threads answer 404.
+const { MongoClient } = require('mongodb');
+const { MAX_THREAD_BODY_BYTES, threadKey, toResponse, normalizeThread, saveThread } = require('../lib/threads');
+const { HttpError, json, createRoute, cors, allowMethods, jsonBody, requestLogger } = require('../lib/pipeline');
+const { authenticate } = require('../lib/auth');
+
+async function handleThreads(ctx) {
+  const uri = process.env.MONGODB_URI;
+  const dbName = process.env.MONGODB_DB_NAME;
+  if (!uri || !dbName) {
+    throw new HttpError(500, 'MongoDB configuration missing', 'Please set MONGODB_URI and MONGODB_DB_NAME in your environment variables');
+  }
+
+  // The thread id comes from the /api/threads/:id route
+  const id = ctx.query.id ? String(ctx.query.id) : undefined;
+  const owner = ctx.state.user.id;
+  if (!id && (ctx.method === 'PUT' || ctx.method === 'DELETE')) {
+    throw new HttpError(400, 'Thread id is required', 'Use /api/threads/:id for this request');
+  }
+
+  // Validate the request body before connecting
+  let incoming;
+  if (ctx.method === 'POST' || ctx.method === 'PUT') {
+    try {
+      incoming = normalizeThread(ctx.body, id);
+    } catch (validationError) {
+      throw new HttpError(400, 'Invalid thread', validationError.message);
+    }
+  }
+
+  let client;
+  try {
+    // Connect to MongoDB
+    client = new MongoClient(uri);
+    await client.connect();
+    const coll = client.db(dbName).collection(process.env.MONGODB_THREADS_COLLECTION || 'threads');
+
+    if (ctx.method === 'GET' && !id) {
+      const since = parseInt(ctx.query.since) || 0;
+      const docs = await coll.aggregate([
+        { $match: since ? { owner, updatedAt: { $gt: since } } : { owner } },
+        { $sort: { updatedAt: -1 } },
+        {
+          $project: {
+            id: 1,
+            name: 1,
+            pinned: 1,
+            archived: 1,
+            createdAt: 1,
+            updatedAt: 1,
+            deletedAt: 1,
+            revision: 1,
+            messageCount: { $size: { $ifNull: ['$messages', []] } }
+          }
+        }
+      ]).toArray();
+
+      return json({ threads: docs.map(toResponse) });
+    }
+
+    if (ctx.method === 'GET') {
+      const doc = await coll.findOne({ _id: threadKey(owner, id), owner });
+      if (!doc) {
+        throw new HttpError(404, 'Thread not found', `No thread with id ${id}`);
+      }
+      if (doc.deletedAt) {
+        throw new HttpError(410, 'Thread was deleted', 'This thread was deleted on another device', { details: { deletedAt: doc.deletedAt } });
+      }
+      return json({ thread: toResponse(doc) });
+    }
+
+    if (ctx.method === 'DELETE') {
+      // Keep a tombstone so other devices learn about the deletion on their next sync
+      const deletedAt = Date.now();
+      await coll.updateOne(
+        { _id: threadKey(owner, id), owner },
+        {
+          $set: { deletedAt, updatedAt: deletedAt, messages: [], deletedMessages: [] },
+          $setOnInsert: { id, name: '', createdAt: deletedAt },
+          $inc: { revision: 1 }
+        },
+        { upsert: true }
+      );
+      return json({ id, deletedAt });
+    }
+
+    // POST and PUT both merge; PUT requires the thread to exist
+    if (ctx.method === 'PUT' && !(await coll.findOne({ _id: threadKey(owner, id), owner }, { projection: { _id: 1 } }))) {
+      throw new HttpError(404, 'Thread not found', `No thread with id ${id}`);
+    }
+
+    const result = await saveThread(coll, owner, incoming);
+    if (result.deleted) {
+      throw new HttpError(410, 'Thread was deleted', 'This thread was deleted on another device', { details: { deletedAt: result.thread.deletedAt } });
+    }
+
+    console.log(`Saved thread ${incoming.id} (${result.thread.messages.length} messages)`);
+    return json({ thread: result.thread }, ctx.method === 'POST' ? 201 : 200);
+
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    console.error('Threads API error:', error);
+    throw new HttpError(500, 'Error processing threads request', error.message);
+  } finally {
+    // Close MongoDB connection
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+module.exports = createRoute([
+  cors({ methods: ['GET', 'POST', 'PUT', 'DELETE'] }),
+  requestLogger('Threads API'),
+  authenticate(),
+  allowMethods(['GET', 'POST', 'PUT', 'DELETE']),
+  jsonBody({ maxBytes: MAX_THREAD_BODY_BYTES })
+], handleThreads).node;
@@ -0,0 +1,25 @@
+// Vercel API endpoint reporting the caller's token usage and what it cost
+//   GET /api/usage?days=30&threadId=<id>
+//   { since, threadId, totals, byModel, byMethod, byThread, prices }
+// Every total is { requests, prompt_tokens, completion_tokens, total_tokens, cost_usd }; prices are USD per million tokens.
+const { json, createRoute, cors, allowMethods } = require('../lib/pipeline');
+const { authenticate } = require('../lib/auth');
+const { getSubject } = require('../lib/ratelimit');
+const { getPrices, summarizeUsage } = require('../lib/usage');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+async function handleUsage(ctx) {
+  const days = Math.min(MAX_DAYS, Math.max(1, parseInt(ctx.query.days, 10) || DEFAULT_DAYS));
+  const since = new Date(Date.now() - days * 86400000);
+  const threadId = ctx.query.threadId ? String(ctx.query.threadId) : null;
+  const summary = await summarizeUsage(getSubject(ctx), { since, threadId });
+  return json({ ...summary, prices: getPrices() }, 200, { 'Cache-Control': 'no-store' });
+}
+
+module.exports = createRoute([
+  cors({ methods: ['GET'] }),
+  authenticate(),
+  allowMethods(['GET'])
+], handleUsage).node;
@@ -0,0 +1,194 @@
+// lib/auth.js
+// Who may use the API: a team passphrase exchanged for signed session tokens, and per-user API tokens stored in MongoDB
+//
+//   TEAM_PASSPHRASE     anyone who knows it can sign in; sessions last SESSION_TTL_HOURS (default 168)
+//   AUTH_USER_TOKENS    "true" to accept personal tokens from the MONGODB_AUTH_COLLECTION collection
+//                       (default "api_tokens"); create them with scripts/tokens.js
+//   AUTH_SECRET         signs session tokens; defaults to one derived from TEAM_PASSPHRASE
+// With neither TEAM_PASSPHRASE nor AUTH_USER_TOKENS set, authentication is off (local development).
+//
+// Threads, rate limits, token budgets and usage are kept per user id. A passphrase sign-in gives the
+// name entered with it ("team:<name>"), signed into the session; anyone with the passphrase can pick
+// any name, so use personal tokens where people must not be able to see each other's data.
+const crypto = require('crypto');
+const { HttpError } = require('./pipeline');
+const { isMongoConfigured, getDb } = require('./mongo');
+
+// s1 sessions all shared one "team" identity and are no longer accepted
+const SESSION_PREFIX = 's2.';
+const TOKEN_PREFIX = 'llmp_';
+const DEFAULT_SESSION_TTL_HOURS = 168;
+// Token lookups are cached so a chat doesn't cost a database round trip per request;
+// a revoked token stops working within this long
+const TOKEN_CACHE_TTL = 60000;
+// Slow down guessing
+const FAILED_LOGIN_DELAY = 500;
+const MAX_NAME_LENGTH = 60;
+
+// Hashed token -> { user, expiresAt }
+const tokenCache = new Map();
+
+function isAuthEnabled() {
+  return Boolean(process.env.TEAM_PASSPHRASE) || userTokensEnabled();
+}
+
+function userTokensEnabled() {
+  return process.env.AUTH_USER_TOKENS === 'true';
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Compare secrets without leaking how much of them matched
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(String(a)), sha256(String(b)));
+}
+
+function sessionSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (process.env.TEAM_PASSPHRASE) return `session:${process.env.TEAM_PASSPHRASE}`;
+  return null;
+}
+
+function sign(payload, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+function createSession(user) {
+  const secret = sessionSecret();
+  if (!secret) {
+    throw new HttpError(500, 'Authentication not configured', 'Set AUTH_SECRET or TEAM_PASSPHRASE to sign sessions');
+  }
+  const hours = parseFloat(process.env.SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS;
+  const expiresAt = Date.now() + hours * 3600000;
+  const payload = base64url(JSON.stringify({ sub: user.id, name: user.name, exp: expiresAt }));
+  return { token: `${SESSION_PREFIX}${payload}.${sign(payload, secret)}`, expiresAt };
+}
+
+// A session's user, or null if the token is forged, garbled or expired
+function verifySession(token) {
+  const secret = sessionSecret();
+  const [payload, signature] = token.slice(SESSION_PREFIX.length).split('.');
+  if (!secret || !payload || !signature || !safeEqual(signature, sign(payload, secret))) return null;
+  try {
+    const session = JSON.parse(fromBase64url(payload).toString('utf8'));
+    if (!session.exp || session.exp < Date.now()) return null;
+    return { id: session.sub, name: session.name, method: 'session' };
+  } catch (parseError) {
+    return null;
+  }
+}
+
+function generateUserToken() {
+  return TOKEN_PREFIX + base64url(crypto.randomBytes(32));
+}
+
+function hashToken(token) {
+  return sha256(token).toString('hex');
+}
+
+// Uses the shared connection from lib/mongo.js, so a token cache miss doesn't open a new client
+async function withTokenCollection(action) {
+  if (!isMongoConfigured()) {
+    throw new HttpError(500, 'MongoDB configuration missing', 'Per-user tokens need MONGODB_URI and MONGODB_DB_NAME');
+  }
+  const db = await getDb();
+  return action(db.collection(process.env.MONGODB_AUTH_COLLECTION || 'api_tokens'));
+}
+
+// A personal token's user, or null if it's unknown or revoked
+async function verifyUserToken(token) {
+  if (!userTokensEnabled()) return null;
+  const hash = hashToken(token);
+  const cached = tokenCache.get(hash);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+  const user = await withTokenCollection(async (coll) => {
+    const result = await coll.findOneAndUpdate(
+      { _id: hash, revokedAt: null },
+      { $set: { lastUsedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    const doc = result.value;
+    return doc ? { id: doc.user, name: doc.label || doc.user, method: 'token' } : null;
+  });
+
+  if (user) tokenCache.set(hash, { user, expiresAt: Date.now() + TOKEN_CACHE_TTL });
+  else tokenCache.delete(hash);
+  return user;
+}
+
+// The user behind an Authorization header, or null
+async function identify(authorization) {
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization || '');
+  if (!match) return null;
+  const token = match[1];
+  if (token.startsWith(SESSION_PREFIX)) return verifySession(token);
+  if (token.startsWith(TOKEN_PREFIX)) return verifyUserToken(token);
+  return null;
+}
+
+// The user a passphrase sign-in acts as: case and spacing in the name don't make a new user
+function teamUser(name) {
+  const displayName = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (!displayName || displayName.length > MAX_NAME_LENGTH) {
+    throw new HttpError(400, 'Name required', `Enter your name (up to ${MAX_NAME_LENGTH} characters) with the team passphrase`);
+  }
+  return { id: `team:${displayName.toLowerCase()}`, name: displayName };
+}
+
+// Exchange a passphrase (with the user's name) or personal token for the credential the browser
+// keeps. Personal tokens are kept as they are, so revoking one signs its user out everywhere.
+async function login({ passphrase, name, token }) {
+  if (passphrase && process.env.TEAM_PASSPHRASE && safeEqual(passphrase, process.env.TEAM_PASSPHRASE)) {
+    const user = teamUser(name);
+    return { user, ...createSession(user) };
+  }
+  if (token && typeof token === 'string') {
+    const user = await verifyUserToken(token.trim());
+    if (user) return { user, token: token.trim(), expiresAt: null };
+  }
+
+  await new Promise(resolve => setTimeout(resolve, FAILED_LOGIN_DELAY));
+  throw new HttpError(401, 'Invalid credentials', passphrase ? 'That passphrase is not correct' : 'That token is not valid or has been revoked');
+}
+
+// Middleware: sets ctx.state.user, or answers 401 when authentication is on and the request has
+// no valid credentials. With authentication off every request is the anonymous user.
+function authenticate() {
+  return async (ctx, next) => {
+    if (!isAuthEnabled()) {
+      ctx.state.user = { id: 'anonymous', name: 'Anonymous', method: 'none' };
+      return next();
+    }
+
+    const user = await identify(ctx.header('authorization'));
+    if (!user) {
+      throw new HttpError(401, 'Authentication required', 'Sign in with the team passphrase or your personal token', {
+        headers: { 'WWW-Authenticate': 'Bearer realm="api"' }
+      });
+    }
+    ctx.state.user = user;
+    return next();
+  };
+}
+
+module.exports = {
+  isAuthEnabled,
+  userTokensEnabled,
+  identify,
+  login,
+  authenticate,
+  generateUserToken,
+  hashToken,
+  withTokenCollection
+};
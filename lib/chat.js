@@ -0,0 +1,121 @@
+// lib/chat.js
+// Non-streaming chat completions, served on Node by api/proxy.js and the api/api-proxy.js catch-all
+// Routes each request to the provider that serves its model (see lib/providers.js)
+const { UPSTREAM_HEADERS, fetchWithFailover, upstreamHeaders } = require('./failover');
+const { HttpError, json, createRoute, cors, allowMethods, jsonBody, requestLogger } = require('./pipeline');
+const { authenticate } = require('./auth');
+const { RATE_LIMIT_HEADERS, rateLimit } = require('./ratelimit');
+const { USAGE_REQUEST_HEADERS, getReasoningMethod, finalizeUsage, recordUsage } = require('./usage');
+const { MAX_CHAT_BODY_BYTES, validateChat } = require('./validation');
+
+// Vercel's maximum function duration
+const REQUEST_TIMEOUT = 120000;
+
+// ctx.body has been validated and normalized for the model by validateChat
+async function handleChat(ctx) {
+  const requestBody = ctx.body;
+  const { route } = ctx.state;
+  console.log(`Routing to ${route.providerName} as ${route.upstreamModel}`);
+
+  const reasoningMethod = getReasoningMethod(ctx);
+  console.log(`Using reasoning method: ${reasoningMethod}`);
+  console.log(`Request complexity: ${JSON.stringify({
+    messages_count: requestBody.messages ? requestBody.messages.length : 0,
+    max_tokens: requestBody.max_tokens
+  })}`);
+
+  const startTime = Date.now();
+
+  // Failed upstreams are retried and, for models with equivalents, failed over; the timeout covers
+  // all attempts. The browser's Stop button closes the connection, which cancels the upstream too.
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => {
+    controller.abort();
+    console.log("Request is taking too long, aborting...");
+  }, REQUEST_TIMEOUT);
+  const onClientClose = () => {
+    controller.abort();
+    console.log("Client disconnected, upstream request cancelled");
+  };
+  ctx.signal.addEventListener('abort', onClientClose, { once: true });
+
+  try {
+    const { response, route: servedBy, attempts } = await fetchWithFailover(requestBody, { signal: controller.signal });
+    ctx.state.servedModel = servedBy.model.id;
+
+    const responseTime = Date.now() - startTime;
+    console.log(`${servedBy.providerName} API response status: ${response.status}, time: ${responseTime}ms, attempts: ${attempts}, method: ${reasoningMethod}`);
+
+    // Say which upstream answered, and after how many tries
+    Object.entries(upstreamHeaders(servedBy, attempts)).forEach(([name, value]) => ctx.setHeader(name, value));
+
+    if (!response.ok) {
+      let errorDetails = `Status code: ${response.status}`;
+      try {
+        errorDetails = await response.text();
+        console.error(`API error (${response.status}): ${errorDetails}`);
+      } catch (e) {
+        console.error(`Failed to read error response: ${e.message}`);
+      }
+      throw new HttpError(response.status, `API Error: ${response.statusText}`, errorDetails);
+    }
+
+    const data = await response.json();
+    ctx.state.usage = data && data.usage;
+
+    // Add performance metrics and the priced usage to the response
+    if (data && !data.error) {
+      data.usage = finalizeUsage(ctx, servedBy.model.id);
+      data.performance = {
+        response_time_ms: responseTime,
+        reasoning_method: reasoningMethod,
+        provider: servedBy.providerId,
+        attempts
+      };
+    }
+
+    return json(data, 200, { 'Cache-Control': 'no-cache, no-store, must-revalidate' });
+
+  } catch (fetchError) {
+    if (fetchError instanceof HttpError) throw fetchError;
+
+    // Nobody is left to answer; the adapter won't write to a closed connection
+    if (ctx.signal.aborted) return { status: 499 };
+
+    if (fetchError.name === 'AbortError') {
+      throw new HttpError(504, 'Gateway Timeout', 'The request to the LLM API took too long to complete (>120 seconds). Try reducing complexity or using fewer tokens.');
+    }
+
+    // Every upstream is cooling down after repeated failures
+    if (fetchError.code === 'circuit_open') {
+      throw new HttpError(503, 'Service Unavailable', fetchError.message, {
+        headers: { 'Retry-After': String(fetchError.retryAfter) }
+      });
+    }
+
+    console.error("Fetch error:", fetchError);
+    throw new HttpError(500, 'Request Failed', fetchError.message);
+  } finally {
+    clearTimeout(timeoutId);
+    ctx.signal.removeEventListener('abort', onClientClose);
+  }
+}
+
+const chatRoute = createRoute([
+  cors({
+    methods: ['POST'],
+    allowHeaders: ['Content-Type', 'Authorization', ...USAGE_REQUEST_HEADERS],
+    exposeHeaders: [...UPSTREAM_HEADERS, ...RATE_LIMIT_HEADERS]
+  }),
+  requestLogger('Model gateway proxy'),
+  authenticate(),
+  allowMethods(['POST']),
+  jsonBody({ maxBytes: MAX_CHAT_BODY_BYTES }),
+  validateChat(),
+  rateLimit(),
+  recordUsage({ source: 'chat' })
+], handleChat);
+
+module.exports = {
+  chatRoute
+};
@@ -0,0 +1,202 @@
+// lib/documents.js
+// Text extraction and chunking for knowledge base ingestion
+
+// Default chunking parameters (characters)
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+// Uploads per ingest request, matching the limits in the upload dialog. Files arrive base64-encoded,
+// so the request body may be a third larger than the files, plus room for the other fields.
+const MAX_INGEST_FILES = 10;
+const MAX_INGEST_FILE_BYTES = 3 * 1024 * 1024;
+const MAX_INGEST_BODY_BYTES = MAX_INGEST_FILES * Math.ceil(MAX_INGEST_FILE_BYTES * 4 / 3) + 64 * 1024;
+
+// Map file extensions to the document types we know how to read
+const EXTENSION_TYPES = {
+  txt: 'text',
+  text: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  pdf: 'pdf'
+};
+
+// Work out the document type from the MIME type, falling back to the file extension
+function detectDocumentType(name = '', mimeType = '') {
+  const type = (mimeType || '').toLowerCase();
+  if (type === 'application/pdf') return 'pdf';
+  if (type === 'text/html' || type === 'application/xhtml+xml') return 'html';
+  if (type === 'text/markdown' || type === 'text/x-markdown') return 'markdown';
+
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  if (EXTENSION_TYPES[extension]) return EXTENSION_TYPES[extension];
+
+  if (type.startsWith('text/')) return 'text';
+  return null;
+}
+
+// Decode file content sent by the browser - either a data URL or plain text
+function decodeFileContent(content) {
+  if (typeof content !== 'string') {
+    throw new Error('File content must be a string');
+  }
+
+  const dataUrlMatch = content.match(/^data:[^;,]*(;base64)?,/);
+  if (!dataUrlMatch) {
+    return Buffer.from(content, 'utf8');
+  }
+
+  const payload = content.substring(dataUrlMatch[0].length);
+  return dataUrlMatch[1]
+    ? Buffer.from(payload, 'base64')
+    : Buffer.from(decodeURIComponent(payload), 'utf8');
+}
+
+// Decode the handful of HTML entities that show up in ordinary documents
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.substring(2), 16)
+        : parseInt(entity.substring(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return named[entity.toLowerCase()] !== undefined ? named[entity.toLowerCase()] : match;
+  });
+}
+
+// Strip markup from an HTML document, keeping block boundaries as line breaks
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|li|tr|h[1-6]|blockquote|pre)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  return decodeHtmlEntities(text)
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Extract the text of a PDF one page at a time so chunks keep their page number
+async function pdfToPages(buffer) {
+  // Require the library file directly - the package index runs a debug harness
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const pages = [];
+
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent();
+      let lastY = null;
+      let pageText = '';
+
+      for (const item of textContent.items) {
+        // A change in the y coordinate means a new line on the page
+        if (lastY !== null && item.transform[5] !== lastY) {
+          pageText += '\n';
+        }
+        pageText += item.str;
+        lastY = item.transform[5];
+      }
+
+      pages.push({ page: pageData.pageIndex + 1, text: pageText.trim() });
+      return pageText;
+    }
+  });
+
+  return pages.sort((a, b) => a.page - b.page);
+}
+
+// Turn an uploaded file into a list of { page, text } entries
+async function extractDocument({ name, type, content }) {
+  const documentType = detectDocumentType(name, type);
+  if (!documentType) {
+    throw new Error(`Unsupported file type for ${name || 'document'}. Use plain text, Markdown, HTML or PDF.`);
+  }
+
+  const buffer = decodeFileContent(content);
+
+  if (documentType === 'pdf') {
+    return { documentType, pages: await pdfToPages(buffer) };
+  }
+
+  const raw = buffer.toString('utf8');
+  const text = documentType === 'html' ? htmlToText(raw) : raw.replace(/\r\n?/g, '\n').trim();
+  return { documentType, pages: [{ page: 1, text }] };
+}
+
+// Split a long paragraph at sentence boundaries, hard-splitting anything still too long
+function splitLongSegment(segment, chunkSize) {
+  const sentences = segment.match(/[^.!?\n]+[.!?]*\s*/g) || [segment];
+  const pieces = [];
+
+  for (const sentence of sentences) {
+    if (sentence.length <= chunkSize) {
+      pieces.push(sentence);
+      continue;
+    }
+    for (let i = 0; i < sentence.length; i += chunkSize) {
+      pieces.push(sentence.substring(i, i + chunkSize));
+    }
+  }
+
+  return pieces;
+}
+
+// Split pages into overlapping chunks, preferring paragraph and sentence boundaries
+function chunkPages(pages, { source, chunkSize = DEFAULT_CHUNK_SIZE, chunkOverlap = DEFAULT_CHUNK_OVERLAP } = {}) {
+  const size = Math.max(100, parseInt(chunkSize) || DEFAULT_CHUNK_SIZE);
+  const overlap = Math.min(Math.max(0, parseInt(chunkOverlap) || 0), Math.floor(size / 2));
+  const chunks = [];
+
+  for (const { page, text } of pages) {
+    if (!text || !text.trim()) continue;
+
+    // Break the page into paragraph-sized pieces that each fit in one chunk
+    const pieces = [];
+    text.split(/\n\s*\n/).forEach(paragraph => {
+      const trimmed = paragraph.trim();
+      if (!trimmed) return;
+      if (trimmed.length <= size) {
+        pieces.push(trimmed + '\n\n');
+      } else {
+        pieces.push(...splitLongSegment(trimmed, size));
+      }
+    });
+
+    let current = '';
+    for (const piece of pieces) {
+      if (current && current.length + piece.length > size) {
+        chunks.push({ text: current.trim(), page });
+        // Carry the tail of the previous chunk forward so context spans the boundary
+        const tail = overlap > 0 ? current.slice(-overlap) : '';
+        current = tail.substring(tail.search(/\s/) + 1);
+      }
+      current += piece;
+    }
+    if (current.trim()) {
+      chunks.push({ text: current.trim(), page });
+    }
+  }
+
+  return chunks.map((chunk, index) => ({
+    ...chunk,
+    source,
+    chunkIndex: index
+  }));
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  MAX_INGEST_FILES,
+  MAX_INGEST_BODY_BYTES,
+  detectDocumentType,
+  extractDocument,
+  chunkPages
+};
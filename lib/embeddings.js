@@ -0,0 +1,136 @@
+// lib/embeddings.js
+// Embedding providers used by the knowledge base routes
+const fetch = require('node-fetch');
+
+const BATCH_SIZE = 64;
+const DEFAULT_HASH_DIMENSIONS = 256;
+
+// Remote providers speak the OpenAI-compatible /embeddings API
+const PROVIDERS = {
+  fireworks: {
+    url: 'https://api.fireworks.ai/inference/v1/embeddings',
+    apiKeyEnv: 'FIREWORKS_API_KEY',
+    defaultModel: 'nomic-ai/nomic-embed-text-v1.5'
+  },
+  openai: {
+    url: 'https://api.openai.com/v1/embeddings',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    defaultModel: 'text-embedding-3-small'
+  }
+};
+
+// Resolve the provider settings from the environment
+function getEmbeddingConfig() {
+  const provider = (process.env.EMBEDDING_PROVIDER || 'fireworks').toLowerCase();
+
+  if (provider === 'hash' || provider === 'local') {
+    return {
+      provider: 'hash',
+      model: 'local-hash',
+      dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || DEFAULT_HASH_DIMENSIONS
+    };
+  }
+
+  const settings = PROVIDERS[provider];
+  if (!settings) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${provider}". Use fireworks, openai or hash.`);
+  }
+
+  return {
+    provider,
+    model: process.env.EMBEDDING_MODEL || settings.defaultModel,
+    url: process.env.EMBEDDING_API_URL || settings.url,
+    apiKeyEnv: settings.apiKeyEnv,
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || undefined
+  };
+}
+
+// 32-bit FNV-1a hash, used to place tokens in the hashing embedder
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Deterministic local embedding: hashed unigrams and bigrams, L2-normalized.
+// No network or API key needed, which makes it suitable for offline use and tests.
+function hashEmbedding(text, dimensions = DEFAULT_HASH_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  const features = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+
+  for (const feature of features) {
+    const hash = fnv1a(feature);
+    // Use the top bit as a sign so collisions tend to cancel out
+    vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+// Call an OpenAI-compatible embeddings endpoint in batches
+async function embedRemote(texts, config) {
+  const apiKey = process.env[config.apiKeyEnv];
+  if (!apiKey) {
+    throw new Error(`${config.apiKeyEnv} is required to compute embeddings with ${config.provider}`);
+  }
+
+  const embeddings = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const batch = texts.slice(i, i + BATCH_SIZE);
+
+    const body = { model: config.model, input: batch };
+    if (config.dimensions) body.dimensions = config.dimensions;
+
+    const response = await fetch(config.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Embedding API error (${response.status}): ${errorText}`);
+    }
+
+    const data = await response.json();
+    // The API may return items out of order, so place them by index
+    const ordered = [...data.data].sort((a, b) => a.index - b.index);
+    ordered.forEach(item => embeddings.push(item.embedding));
+  }
+
+  return embeddings;
+}
+
+// Embed a list of texts, returning one vector per input in the same order
+async function embedTexts(texts) {
+  const config = getEmbeddingConfig();
+  if (config.provider === 'hash') {
+    return texts.map(text => hashEmbedding(text, config.dimensions));
+  }
+  return embedRemote(texts, config);
+}
+
+// Embed a single search query
+async function embedQuery(query) {
+  const [embedding] = await embedTexts([query]);
+  return embedding;
+}
+
+module.exports = {
+  getEmbeddingConfig,
+  hashEmbedding,
+  embedTexts,
+  embedQuery
+};
@@ -0,0 +1,216 @@
+// lib/failover.js
+// Retry policy for upstream model calls: exponential backoff, Retry-After, a circuit breaker per upstream and failover to equivalent models
+const fetch = require('node-fetch');
+const { resolveModel, buildUpstreamBody, getFailoverModels } = require('./providers');
+
+const MAX_ATTEMPTS_PER_UPSTREAM = 3;
+const MAX_TOTAL_ATTEMPTS = 6;
+const BASE_DELAY = 500;
+const MAX_DELAY = 8000;
+// A Retry-After longer than this moves on to the next upstream instead of waiting
+const MAX_RETRY_AFTER = 20000;
+
+// Worth retrying on the same upstream
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// The upstream rejected our credentials or the model - another upstream may still work
+const FAILOVER_STATUSES = [401, 403, 404];
+
+// Consecutive failures that open an upstream's circuit, and how long it stays open
+const BREAKER_THRESHOLD = 3;
+const BREAKER_COOLDOWN = 30000;
+
+// Upstream key -> { failures, openUntil }. Lives as long as the warm function instance.
+const breakers = new Map();
+
+// Response headers describing who answered
+const UPSTREAM_HEADERS = ['X-Upstream-Provider', 'X-Upstream-Model', 'X-Upstream-Attempts'];
+
+function upstreamKey(route) {
+  return `${route.providerId}/${route.upstreamModel}`;
+}
+
+// Closed circuits always pass. An open one lets a single trial request through per cooldown.
+function canAttempt(key) {
+  const breaker = breakers.get(key);
+  if (!breaker || breaker.failures < BREAKER_THRESHOLD) return true;
+  const now = Date.now();
+  if (now < breaker.openUntil) return false;
+  breaker.openUntil = now + BREAKER_COOLDOWN;
+  return true;
+}
+
+function recordSuccess(key) {
+  breakers.delete(key);
+}
+
+function recordFailure(key) {
+  const breaker = breakers.get(key) || { failures: 0, openUntil: 0 };
+  breaker.failures += 1;
+  if (breaker.failures >= BREAKER_THRESHOLD) {
+    if (breaker.failures === BREAKER_THRESHOLD) console.warn(`Circuit opened for ${key}`);
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN;
+  }
+  breakers.set(key, breaker);
+}
+
+function isCircuitOpen(key) {
+  const breaker = breakers.get(key);
+  return Boolean(breaker && breaker.failures >= BREAKER_THRESHOLD && Date.now() < breaker.openUntil);
+}
+
+// Retry-After is either seconds or an HTTP date. Returns milliseconds, or null when missing or invalid.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter, so instances retrying together don't hit the upstream in step
+function backoffDelay(attempt) {
+  const delay = Math.min(MAX_DELAY, BASE_DELAY * 2 ** (attempt - 1));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    // The listener goes when the timer fires, so retries don't pile them up on a long-lived signal
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Free the connection behind a response we are not going to relay
+function discard(response) {
+  if (response && response.body && !response.bodyUsed) response.text().catch(() => {});
+}
+
+// The requested model followed by its configured failover models. The requested model's routing
+// errors are thrown as usual; failover models whose provider isn't set up are skipped.
+function getCandidateRoutes(modelId) {
+  const routes = [resolveModel(modelId)];
+  getFailoverModels(modelId).forEach(failoverId => {
+    try {
+      routes.push(resolveModel(failoverId));
+    } catch (routeError) {
+      console.log(`Skipping failover model ${failoverId}: ${routeError.message}`);
+    }
+  });
+  return routes;
+}
+
+// POST a chat request for requestBody.model, retrying and failing over across upstreams.
+// Resolves to { response, route, attempts } where response is the final upstream response, successful
+// or not, so callers relay upstream errors as before. Throws the last network error when no upstream
+// answered at all, or an error with code 'circuit_open' when every upstream is cooling down.
+async function fetchWithFailover(requestBody, { signal } = {}) {
+  const routes = getCandidateRoutes(requestBody.model);
+  let attempts = 0;
+  let last = null;
+  let lastError = null;
+
+  for (const route of routes) {
+    const key = upstreamKey(route);
+    if (!canAttempt(key)) {
+      console.log(`Circuit open for ${key}, skipping`);
+      continue;
+    }
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS_PER_UPSTREAM && attempts < MAX_TOTAL_ATTEMPTS; attempt++) {
+      if (last) {
+        discard(last.response);
+        last = null;
+      }
+      attempts++;
+
+      let response;
+      try {
+        response = await fetch(route.url, {
+          method: 'POST',
+          headers: route.headers,
+          body: JSON.stringify(buildUpstreamBody(requestBody, route)),
+          signal
+        });
+      } catch (fetchError) {
+        // Cancelled by the caller (timeout or client gone) - not the upstream's fault
+        if (signal && signal.aborted) throw fetchError;
+        console.warn(`${key} attempt ${attempt} failed: ${fetchError.message}`);
+        lastError = fetchError;
+        recordFailure(key);
+        if (isCircuitOpen(key) || attempt === MAX_ATTEMPTS_PER_UPSTREAM) break;
+        await sleep(backoffDelay(attempt), signal);
+        continue;
+      }
+
+      if (response.ok) {
+        recordSuccess(key);
+        if (attempts > 1) console.log(`${key} answered after ${attempts} attempts`);
+        return { response, route, attempts };
+      }
+
+      last = { response, route };
+      console.warn(`${key} attempt ${attempt} returned ${response.status}`);
+
+      if (FAILOVER_STATUSES.includes(response.status)) break;
+      // Anything else (bad request, context too long, ...) would fail the same way everywhere
+      if (!RETRYABLE_STATUSES.includes(response.status)) return { response, route, attempts };
+
+      recordFailure(key);
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (isCircuitOpen(key) || attempt === MAX_ATTEMPTS_PER_UPSTREAM) break;
+      if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER) {
+        console.log(`${key} asked to wait ${Math.round(retryAfter / 1000)}s, trying the next upstream`);
+        break;
+      }
+      await sleep(retryAfter !== null ? retryAfter : backoffDelay(attempt), signal);
+    }
+
+    if (attempts >= MAX_TOTAL_ATTEMPTS) break;
+  }
+
+  if (last) return { response: last.response, route: last.route, attempts };
+  if (lastError) {
+    lastError.attempts = attempts;
+    throw lastError;
+  }
+  const error = new Error('Every upstream for this model failed recently; try again in a few seconds');
+  error.code = 'circuit_open';
+  // Seconds until the first circuit lets a request through again
+  const reopensAt = Math.min(...routes.map(route => breakers.get(upstreamKey(route)).openUntil));
+  error.retryAfter = Math.max(1, Math.ceil((reopensAt - Date.now()) / 1000));
+  throw error;
+}
+
+// Header values for a served (or failed) request
+function upstreamHeaders(route, attempts) {
+  return {
+    'X-Upstream-Provider': route.providerId,
+    'X-Upstream-Model': route.model.id,
+    'X-Upstream-Attempts': String(attempts)
+  };
+}
+
+module.exports = {
+  UPSTREAM_HEADERS,
+  parseRetryAfter,
+  fetchWithFailover,
+  upstreamHeaders
+};
@@ -0,0 +1,39 @@
+// lib/mongo.js
+// One MongoDB connection per function instance, for stores used on every request (rate limits, usage, tokens)
+
+const { MongoClient } = require('mongodb');
+
+let dbPromise = null;
+let connectedClient = null;
+
+function isMongoConfigured() {
+  return Boolean(process.env.MONGODB_URI && process.env.MONGODB_DB_NAME);
+}
+
+// The connection is kept for as long as the instance stays warm; a failed connect is retried next time
+function getDb() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      const client = new MongoClient(process.env.MONGODB_URI);
+      await client.connect();
+      connectedClient = client;
+      return client.db(process.env.MONGODB_DB_NAME);
+    })();
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// For scripts, which exit only once the connection is closed
+async function closeDb() {
+  const client = connectedClient;
+  dbPromise = null;
+  connectedClient = null;
+  if (client) await client.close();
+}
+
+module.exports = {
+  isMongoConfigured,
+  getDb,
+  closeDb
+};
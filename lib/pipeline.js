@@ -0,0 +1,323 @@
+// lib/pipeline.js
+// Shared request pipeline for API routes: middleware around a handler, served on the Node or Edge runtime
+//
+// A handler receives a context and returns a result; middleware are async (ctx, next) => result and
+// may return early, change ctx, or inspect what next() returned. The context looks the same on both runtimes:
+//   ctx.method, ctx.path, ctx.query, ctx.header(name), ctx.body (set by jsonBody), ctx.state (shared by
+//   middleware), ctx.signal (aborted when the client disconnects), ctx.setHeader(name, value)
+// Results are { status, body, headers } - body is sent as JSON - or a stream from sse().
+// Errors, thrown or returned, always have the shape { error, message, ...details }.
+
+// Routes that accept uploads or whole threads pass their own maxBytes to jsonBody
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+// An error with an HTTP status. `error` is a short title, `message` the explanation shown to users.
+class HttpError extends Error {
+  constructor(status, error, message, { details, headers } = {}) {
+    super(message || error);
+    this.name = 'HttpError';
+    this.status = status;
+    this.error = error;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+function json(body, status = 200, headers = {}) {
+  return { status, body, headers };
+}
+
+// Server-sent events. run({ write, signal }) writes formatted events until it resolves; signal is
+// aborted if the client goes away first.
+function sse(run, headers = {}) {
+  return {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+      ...headers
+    },
+    stream: run
+  };
+}
+
+function errorResult(error) {
+  if (error instanceof HttpError) {
+    return {
+      status: error.status,
+      headers: error.headers || {},
+      body: { error: error.error, message: error.message, ...error.details }
+    };
+  }
+  console.error('Unhandled API error:', error);
+  return { status: 500, headers: {}, body: { error: 'Internal Server Error', message: error.message } };
+}
+
+// Run middleware in order around the handler; any error becomes an error result
+function compose(middleware, handle) {
+  const dispatch = (ctx, index) => index < middleware.length
+    ? middleware[index](ctx, () => dispatch(ctx, index + 1))
+    : handle(ctx);
+
+  return async (ctx) => {
+    try {
+      return (await dispatch(ctx, 0)) || { status: 204 };
+    } catch (error) {
+      return errorResult(error);
+    }
+  };
+}
+
+function createContext({ method, path, query, header, readBody, signal }) {
+  const responseHeaders = {};
+  return {
+    method,
+    path,
+    query,
+    header,
+    readBody,
+    signal,
+    body: undefined,
+    state: {},
+    responseHeaders,
+    setHeader(name, value) {
+      responseHeaders[name] = value;
+    }
+  };
+}
+
+// Node runtime: (req, res) as used by @vercel/node
+function toNodeHandler(pipeline) {
+  return async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    const url = new URL(req.url || '/', 'http://localhost');
+    const ctx = createContext({
+      method: req.method,
+      path: url.pathname,
+      query: req.query || Object.fromEntries(url.searchParams),
+      header: name => {
+        const value = req.headers && req.headers[name.toLowerCase()];
+        return Array.isArray(value) ? value.join(', ') : value || null;
+      },
+      readBody: () => readNodeBody(req),
+      signal: controller.signal
+    });
+
+    const result = await pipeline(ctx);
+    const headers = { ...ctx.responseHeaders, ...result.headers };
+    res.statusCode = result.status;
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+
+    if (result.stream) {
+      if (res.flushHeaders) res.flushHeaders();
+      const write = (text) => {
+        if (!controller.signal.aborted && !res.writableEnded) res.write(text);
+      };
+      try {
+        await result.stream({ write, signal: controller.signal });
+      } catch (streamError) {
+        console.error('Stream handler error:', streamError);
+      }
+      if (!res.writableEnded) res.end();
+      return;
+    }
+
+    if (result.body === undefined) {
+      res.end();
+      return;
+    }
+    if (!headers['Content-Type']) res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(result.body));
+  };
+}
+
+// Vercel parses JSON bodies into req.body; read the stream ourselves when it didn't
+async function readNodeBody(req) {
+  if (req.body !== undefined && req.body !== null) {
+    return Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body;
+  }
+  const buffers = [];
+  for await (const chunk of req) {
+    buffers.push(chunk);
+  }
+  return Buffer.concat(buffers).toString('utf8');
+}
+
+// Edge runtime: Request in, Response out. Only for routes whose middleware and handler need nothing
+// beyond Web APIs - not the chat routes, which use Node modules and MongoDB.
+function toEdgeHandler(pipeline) {
+  return async (request) => {
+    const url = new URL(request.url);
+    const ctx = createContext({
+      method: request.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      header: name => request.headers.get(name),
+      readBody: () => request.text(),
+      signal: request.signal
+    });
+
+    const result = await pipeline(ctx);
+    const headers = { ...ctx.responseHeaders, ...result.headers };
+
+    if (result.stream) {
+      const encoder = new TextEncoder();
+      const body = new ReadableStream({
+        async start(controller) {
+          const write = (text) => {
+            if (!request.signal.aborted) controller.enqueue(encoder.encode(text));
+          };
+          try {
+            await result.stream({ write, signal: request.signal });
+          } catch (streamError) {
+            console.error('Stream handler error:', streamError);
+          }
+          controller.close();
+        }
+      });
+      return new Response(body, { status: result.status, headers });
+    }
+
+    if (result.body === undefined) {
+      return new Response(null, { status: result.status, headers });
+    }
+    return new Response(JSON.stringify(result.body), {
+      status: result.status,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    });
+  };
+}
+
+// A route's middleware and handler, ready for either runtime
+function createRoute(middleware, handle) {
+  const pipeline = compose(middleware, handle);
+  return {
+    node: toNodeHandler(pipeline),
+    edge: toEdgeHandler(pipeline)
+  };
+}
+
+/*
+ * Middleware
+ */
+
+// Browser origins allowed to call the API (ALLOWED_ORIGINS, comma-separated). The deployment's own
+// origin is always allowed; with no list, any origin is - unless sign-in is required, when only the
+// deployment's own origin is.
+function getAllowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+}
+
+function isSameOrigin(origin, host) {
+  try {
+    return Boolean(host) && new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// CORS headers on every response; preflight requests end here. Requests from origins outside
+// ALLOWED_ORIGINS are refused before anything else runs.
+function cors({ methods, allowHeaders = ['Content-Type', 'Authorization'], exposeHeaders = [] }) {
+  return async (ctx, next) => {
+    const allowedOrigins = getAllowedOrigins();
+    const origin = ctx.header('origin');
+    if (allowedOrigins.length === 0) {
+      // Required here rather than at the top: lib/auth.js itself requires this module
+      if (!require('./auth').isAuthEnabled()) ctx.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin) {
+      if (!allowedOrigins.includes(origin) && !isSameOrigin(origin, ctx.header('host'))) {
+        throw new HttpError(403, 'Origin not allowed', `${origin} may not call this API`);
+      }
+      ctx.setHeader('Access-Control-Allow-Origin', origin);
+      ctx.setHeader('Vary', 'Origin');
+    }
+    ctx.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+    ctx.setHeader('Access-Control-Allow-Headers', allowHeaders.join(', '));
+    if (exposeHeaders.length > 0) ctx.setHeader('Access-Control-Expose-Headers', exposeHeaders.join(', '));
+
+    if (ctx.method === 'OPTIONS') {
+      ctx.setHeader('Access-Control-Max-Age', '86400');
+      return { status: 204 };
+    }
+    return next();
+  };
+}
+
+function allowMethods(methods) {
+  return async (ctx, next) => {
+    if (!methods.includes(ctx.method)) {
+      throw new HttpError(405, 'Method not allowed', `Use ${methods.join(' or ')} for this endpoint`, {
+        headers: { 'Allow': methods.join(', ') }
+      });
+    }
+    return next();
+  };
+}
+
+// Parse the JSON body of POST and PUT requests into ctx.body, refusing bodies over maxBytes
+function jsonBody({ maxBytes = DEFAULT_MAX_BODY_BYTES } = {}) {
+  const tooLarge = (bytes) => new HttpError(413, 'Payload too large',
+    `The request body is ${(bytes / 1048576).toFixed(1)}MB; the limit is ${(maxBytes / 1048576).toFixed(1)}MB`);
+
+  return async (ctx, next) => {
+    if (ctx.method === 'POST' || ctx.method === 'PUT') {
+      const declared = parseInt(ctx.header('content-length'), 10);
+      if (declared > maxBytes) throw tooLarge(declared);
+
+      const raw = await ctx.readBody();
+      // Bodies the platform already parsed are measured by their JSON size
+      const bytes = new TextEncoder().encode(typeof raw === 'string' ? raw : JSON.stringify(raw) || '').length;
+      if (bytes > maxBytes) throw tooLarge(bytes);
+
+      if (typeof raw !== 'string') {
+        ctx.body = raw;
+      } else {
+        try {
+          ctx.body = raw.trim() ? JSON.parse(raw) : {};
+        } catch (parseError) {
+          throw new HttpError(400, 'Invalid JSON in request body', parseError.message);
+        }
+      }
+      if (!ctx.body || typeof ctx.body !== 'object') {
+        throw new HttpError(400, 'Invalid request body', 'The request body must be a JSON object');
+      }
+    }
+    return next();
+  };
+}
+
+// One line per request with its outcome and duration, errors included (they are rethrown for compose)
+function requestLogger(name) {
+  return async (ctx, next) => {
+    const startTime = Date.now();
+    let status = 204;
+    try {
+      const result = await next();
+      if (result) status = result.status;
+      return result;
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      throw error;
+    } finally {
+      console.log(`${name}: ${ctx.method} ${ctx.path} -> ${status} in ${Date.now() - startTime}ms`);
+    }
+  };
+}
+
+module.exports = {
+  HttpError,
+  json,
+  sse,
+  createRoute,
+  cors,
+  allowMethods,
+  jsonBody,
+  requestLogger
+};
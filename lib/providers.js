@@ -0,0 +1,316 @@
+// lib/providers.js
+// Model gateway registry: which provider serves a model id, where to send it and what it supports
+const fetch = require('node-fetch');
+
+// How long /api/models waits for a self-hosted server to list its models
+const DISCOVERY_TIMEOUT = 2000;
+const DEFAULT_MAX_TOKENS = 8192;
+
+// Every provider speaks the OpenAI-compatible /chat/completions API.
+// apiKeyOptional providers (local servers) work without a key; baseUrlEnv overrides the default URL.
+const PROVIDERS = {
+  fireworks: {
+    name: 'Fireworks',
+    baseUrl: 'https://api.fireworks.ai/inference/v1',
+    apiKeyEnv: 'FIREWORKS_API_KEY',
+    // Request fields only this provider accepts
+    defaults: { top_k: 40 }
+  },
+  deepseek: {
+    name: 'DeepSeek',
+    baseUrl: 'https://api.deepseek.com/v1',
+    baseUrlEnv: 'DEEPSEEK_BASE_URL',
+    apiKeyEnv: 'DEEPSEEK_API_KEY'
+  },
+  openai: {
+    name: 'OpenAI-compatible',
+    baseUrl: 'https://api.openai.com/v1',
+    baseUrlEnv: 'OPENAI_COMPATIBLE_BASE_URL',
+    apiKeyEnv: 'OPENAI_COMPATIBLE_API_KEY',
+    modelsEnv: 'OPENAI_COMPATIBLE_MODELS',
+    prefix: 'openai/'
+  },
+  local: {
+    name: 'Local (Ollama / llama.cpp)',
+    baseUrl: 'http://localhost:11434/v1',
+    baseUrlEnv: 'LOCAL_LLM_BASE_URL',
+    apiKeyEnv: 'LOCAL_LLM_API_KEY',
+    apiKeyOptional: true,
+    modelsEnv: 'LOCAL_LLM_MODELS',
+    prefix: 'local/'
+  }
+};
+
+// Known models. Ids are what the browser sends; upstream ids default to the same value.
+// failover lists equivalent models to try, in order, when this one's upstream keeps failing.
+const MODELS = [
+  {
+    id: 'accounts/fireworks/models/llama-v3p3-70b-instruct',
+    name: 'Llama 3.3 70B',
+    provider: 'fireworks',
+    maxTokens: 16384,
+    capabilities: { vision: false, reasoning: false },
+    tags: ['Powerful', 'Versatile'],
+    description: 'Latest Llama model with enhanced reasoning and broad capabilities.'
+  },
+  {
+    id: 'accounts/fireworks/models/llama-v3p1-8b-instruct',
+    name: 'Llama 3.1 8B',
+    provider: 'fireworks',
+    maxTokens: 16384,
+    capabilities: { vision: false, reasoning: false },
+    tags: ['Fast', 'Compact'],
+    description: 'Smaller Llama model offering good balance between performance and speed.'
+  },
+  {
+    id: 'accounts/fireworks/models/deepseek-v3-0324',
+    name: 'DeepSeek V3 (Fireworks)',
+    provider: 'fireworks',
+    maxTokens: 16384,
+    capabilities: { vision: false, reasoning: false },
+    failover: ['deepseek-chat'],
+    tags: ['Versatile', 'Advanced'],
+    description: "DeepSeek's V3 model hosted on Fireworks."
+  },
+  {
+    id: 'accounts/fireworks/models/qwen2p5-coder-32b-instruct',
+    name: 'Qwen2.5 Coder 32B',
+    provider: 'fireworks',
+    maxTokens: 16384,
+    capabilities: { vision: false, reasoning: false },
+    tags: ['Coding', 'Technical'],
+    description: 'Specialized model for programming and technical tasks.'
+  },
+  {
+    id: 'accounts/fireworks/models/mixtral-8x22b-instruct',
+    name: 'Mixtral 8x22B',
+    provider: 'fireworks',
+    maxTokens: 16384,
+    capabilities: { vision: false, reasoning: false },
+    tags: ['MoE', 'Advanced'],
+    description: 'Mixture of Experts model with excellent reasoning and knowledge capabilities.'
+  },
+  {
+    id: 'accounts/fireworks/models/phi-3-vision-128k-instruct',
+    name: 'Phi-3 Vision',
+    provider: 'fireworks',
+    maxTokens: 8192,
+    capabilities: { vision: true, reasoning: false },
+    tags: ['Vision', 'Multimodal'],
+    description: "Microsoft's Phi-3 model with vision capabilities for analyzing images and text together."
+  },
+  {
+    id: 'deepseek-chat',
+    name: 'DeepSeek Chat V3',
+    provider: 'deepseek',
+    maxTokens: 8192,
+    capabilities: { vision: false, reasoning: false },
+    failover: ['accounts/fireworks/models/deepseek-v3-0324'],
+    tags: ['Latest', 'Versatile', 'Chat'],
+    description: "DeepSeek's latest chat model with strong performance across a wide range of tasks."
+  },
+  {
+    id: 'deepseek-reasoner',
+    name: 'DeepSeek R1 (Reasoner)',
+    provider: 'deepseek',
+    maxTokens: 32768,
+    capabilities: { vision: false, reasoning: true },
+    tags: ['Reasoning', 'Math', 'Code'],
+    description: 'Reasoning model that streams its chain of thought separately from the answer.'
+  }
+];
+
+function getProviderBaseUrl(provider) {
+  const url = (provider.baseUrlEnv && process.env[provider.baseUrlEnv]) || provider.baseUrl;
+  return url.replace(/\/+$/, '');
+}
+
+// A provider is usable once its key is set; self-hosted ones need their URL instead
+function isProviderConfigured(providerId) {
+  const provider = PROVIDERS[providerId];
+  if (!provider) return false;
+  if (provider.apiKeyOptional) return Boolean(process.env[provider.baseUrlEnv]);
+  return Boolean(process.env[provider.apiKeyEnv]);
+}
+
+// Models named in a comma-separated env var for the prefixed providers
+function listConfiguredModels(providerId) {
+  const provider = PROVIDERS[providerId];
+  return (process.env[provider.modelsEnv] || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+// Registry entry for a model served under a provider prefix (e.g. "local/llama3.1:8b")
+function prefixedModel(providerId, upstreamModel, details = {}) {
+  return {
+    id: `${PROVIDERS[providerId].prefix}${upstreamModel}`,
+    name: upstreamModel,
+    provider: providerId,
+    upstreamModel,
+    maxTokens: DEFAULT_MAX_TOKENS,
+    capabilities: { vision: /vision|llava|-vl\b/i.test(upstreamModel), reasoning: /r1|reason|qwq/i.test(upstreamModel) },
+    tags: [PROVIDERS[providerId].name],
+    description: `Served by the ${PROVIDERS[providerId].name} endpoint.`,
+    ...details
+  };
+}
+
+// Look up a model id. Unknown ids are routed by their shape: provider prefixes, Fireworks account
+// paths and deepseek-* names. Returns null when no provider matches.
+function findModel(modelId) {
+  if (!modelId || typeof modelId !== 'string') return null;
+
+  const known = MODELS.find(model => model.id === modelId);
+  if (known) return known;
+
+  const prefixed = Object.keys(PROVIDERS).find(id => PROVIDERS[id].prefix && modelId.startsWith(PROVIDERS[id].prefix));
+  if (prefixed) {
+    const upstreamModel = modelId.slice(PROVIDERS[prefixed].prefix.length);
+    return upstreamModel ? prefixedModel(prefixed, upstreamModel) : null;
+  }
+  // "ollama/" is accepted as an alias for the local provider
+  if (modelId.startsWith('ollama/') && modelId.length > 'ollama/'.length) {
+    return prefixedModel('local', modelId.slice('ollama/'.length));
+  }
+
+  if (modelId.startsWith('accounts/')) {
+    return {
+      id: modelId,
+      name: modelId.split('/').pop(),
+      provider: 'fireworks',
+      maxTokens: DEFAULT_MAX_TOKENS,
+      capabilities: { vision: /vision/i.test(modelId), reasoning: /r1|qwq/i.test(modelId) }
+    };
+  }
+  if (modelId.startsWith('deepseek-')) {
+    return {
+      id: modelId,
+      name: modelId,
+      provider: 'deepseek',
+      maxTokens: DEFAULT_MAX_TOKENS,
+      capabilities: { vision: false, reasoning: modelId.includes('reasoner') }
+    };
+  }
+  return null;
+}
+
+// Everything needed to forward a chat request for this model. Throws with a `code` of
+// 'unknown_model' or 'provider_not_configured' so handlers can pick the status code.
+function resolveModel(modelId) {
+  const model = findModel(modelId);
+  if (!model) {
+    const error = new Error(`No provider serves model "${modelId}"`);
+    error.code = 'unknown_model';
+    throw error;
+  }
+
+  const provider = PROVIDERS[model.provider];
+  const apiKey = process.env[provider.apiKeyEnv];
+  if (!isProviderConfigured(model.provider)) {
+    const missing = provider.apiKeyOptional ? provider.baseUrlEnv : provider.apiKeyEnv;
+    const error = new Error(`Please set ${missing} in your environment variables to use ${provider.name} models`);
+    error.code = 'provider_not_configured';
+    throw error;
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+  return {
+    model,
+    providerId: model.provider,
+    providerName: provider.name,
+    upstreamModel: model.upstreamModel || model.id,
+    url: `${getProviderBaseUrl(provider)}/chat/completions`,
+    headers,
+    maxTokens: model.maxTokens || DEFAULT_MAX_TOKENS,
+    defaults: provider.defaults || {}
+  };
+}
+
+// Request body for one upstream: provider defaults for missing fields, the provider's own model id
+// and max_tokens clamped to the model's limit
+function buildUpstreamBody(requestBody, route) {
+  const body = { ...route.defaults, ...requestBody, model: route.upstreamModel };
+  if (body.max_tokens !== undefined) {
+    body.max_tokens = Math.min(Math.max(1, body.max_tokens), route.maxTokens);
+  }
+  return body;
+}
+
+// Equivalent models to fall back to, in order. MODEL_FAILOVER (JSON, e.g.
+// {"deepseek-chat": ["openai/deepseek-v3"]}) replaces the registry's list for the models it names.
+function getFailoverModels(modelId) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.MODEL_FAILOVER || '{}');
+  } catch (error) {
+    console.warn('Ignoring MODEL_FAILOVER, it is not valid JSON:', error.message);
+  }
+  if (Array.isArray(overrides[modelId])) return overrides[modelId];
+
+  const model = findModel(modelId);
+  return model && model.failover ? model.failover : [];
+}
+
+// Ask a self-hosted server which models it has (both Ollama and llama.cpp serve GET /v1/models)
+async function discoverModels(providerId) {
+  const provider = PROVIDERS[providerId];
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), DISCOVERY_TIMEOUT);
+  try {
+    const headers = {};
+    if (process.env[provider.apiKeyEnv]) headers['Authorization'] = `Bearer ${process.env[provider.apiKeyEnv]}`;
+    const response = await fetch(`${getProviderBaseUrl(provider)}/models`, { headers, signal: controller.signal });
+    if (!response.ok) return [];
+    const data = await response.json();
+    return (data.data || []).map(item => item.id).filter(Boolean);
+  } catch (error) {
+    console.warn(`Could not list ${provider.name} models: ${error.message}`);
+    return [];
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Public model catalog for the UI, with availability based on the configured providers
+async function listModels() {
+  const models = MODELS.map(model => ({ ...model }));
+
+  for (const providerId of Object.keys(PROVIDERS).filter(id => PROVIDERS[id].prefix)) {
+    if (!isProviderConfigured(providerId)) continue;
+    const names = listConfiguredModels(providerId);
+    // Local servers report what is installed; an explicit list takes precedence
+    if (names.length === 0 && PROVIDERS[providerId].apiKeyOptional) {
+      names.push(...await discoverModels(providerId));
+    }
+    names.forEach(name => models.push(prefixedModel(providerId, name)));
+  }
+
+  return models.map(({ upstreamModel, ...model }) => ({
+    ...model,
+    providerName: PROVIDERS[model.provider].name,
+    available: isProviderConfigured(model.provider)
+  }));
+}
+
+// DEFAULT_MODEL if set, otherwise the first model whose provider is configured
+function getDefaultModel(models) {
+  if (process.env.DEFAULT_MODEL) return process.env.DEFAULT_MODEL;
+  const firstAvailable = models.find(model => model.available);
+  return firstAvailable ? firstAvailable.id : 'deepseek-chat';
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_MAX_TOKENS,
+  findModel,
+  resolveModel,
+  buildUpstreamBody,
+  getFailoverModels,
+  isProviderConfigured,
+  listModels,
+  getDefaultModel
+};
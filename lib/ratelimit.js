@@ -0,0 +1,284 @@
+// lib/ratelimit.js
+// Per-user request rate limits (sliding window) and daily token budgets per user and model
+//
+//   RATE_LIMIT_REQUESTS         requests per window for each user and model (default 30, 0 turns it off)
+//   RATE_LIMIT_WINDOW_SECONDS   length of the sliding window (default 60)
+//   DAILY_TOKEN_BUDGET          tokens per user, model and UTC day (default 1000000, 0 turns it off)
+//   MODEL_TOKEN_BUDGETS         JSON overrides per model, e.g. {"deepseek-reasoner": 200000}
+//   RATE_LIMIT_STORE            "memory" or "mongodb"; defaults to mongodb when MONGODB_URI is set
+const { HttpError } = require('./pipeline');
+const { isMongoConfigured, getDb } = require('./mongo');
+
+const DEFAULT_REQUESTS = 30;
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_DAILY_BUDGET = 1000000;
+const DAY = 86400000;
+
+const RATE_LIMIT_HEADERS = [
+  'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+  'X-Token-Budget-Limit', 'X-Token-Budget-Remaining', 'X-Token-Budget-Reset'
+];
+
+function numberEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : Math.max(0, value);
+}
+
+function getLimits(modelId) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.MODEL_TOKEN_BUDGETS || '{}');
+  } catch (error) {
+    console.warn('Ignoring MODEL_TOKEN_BUDGETS, it is not valid JSON:', error.message);
+  }
+  return {
+    requests: numberEnv('RATE_LIMIT_REQUESTS', DEFAULT_REQUESTS),
+    windowMs: numberEnv('RATE_LIMIT_WINDOW_SECONDS', DEFAULT_WINDOW_SECONDS) * 1000,
+    dailyTokens: typeof overrides[modelId] === 'number'
+      ? overrides[modelId]
+      : numberEnv('DAILY_TOKEN_BUDGET', DEFAULT_DAILY_BUDGET)
+  };
+}
+
+// UTC day a usage counter belongs to, and when the next one starts
+function currentDay(now = Date.now()) {
+  const start = Math.floor(now / DAY) * DAY;
+  return { day: new Date(start).toISOString().slice(0, 10), resetAt: start + DAY };
+}
+
+/*
+ * Stores. Both keep a log of request times per key and a token counter per key and day.
+ *   hit(key, limit, windowMs)        -> { allowed, count, resetAt }  records the request if allowed
+ *   getTokens(key, day)              -> tokens used
+ *   addTokens(key, day, tokens, meta)
+ *   listTokens(prefix, day)          -> [{ key, tokens }]
+ */
+
+// One function instance's memory: fine for local development, but every instance counts separately
+function createMemoryStore() {
+  const hits = new Map();
+  const tokens = new Map();
+
+  return {
+    async hit(key, limit, windowMs) {
+      const now = Date.now();
+      const recent = (hits.get(key) || []).filter(time => time > now - windowMs);
+      const allowed = recent.length < limit;
+      if (allowed) recent.push(now);
+      hits.set(key, recent);
+      return { allowed, count: recent.length, resetAt: (recent[0] || now) + windowMs };
+    },
+    async getTokens(key, day) {
+      return tokens.get(`${day}:${key}`) || 0;
+    },
+    async addTokens(key, day, count) {
+      tokens.set(`${day}:${key}`, (tokens.get(`${day}:${key}`) || 0) + count);
+      // Forget earlier days
+      [...tokens.keys()].forEach(stored => {
+        if (!stored.startsWith(`${day}:`)) tokens.delete(stored);
+      });
+    },
+    async listTokens(prefix, day) {
+      return [...tokens.entries()]
+        .filter(([stored]) => stored.startsWith(`${day}:${prefix}`))
+        .map(([stored, count]) => ({ key: stored.slice(day.length + 1), tokens: count }));
+    }
+  };
+}
+
+// Shared by every instance, over the instance's shared connection (lib/mongo.js)
+function createMongoStore() {
+  let collectionsPromise = null;
+
+  const getCollections = () => {
+    if (!collectionsPromise) {
+      collectionsPromise = (async () => {
+        const db = await getDb();
+        const hits = db.collection('rate_limits');
+        const tokens = db.collection('token_usage');
+        // Expired windows and old days clean themselves up
+        await hits.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await tokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        return { hits, tokens };
+      })();
+      collectionsPromise.catch(() => { collectionsPromise = null; });
+    }
+    return collectionsPromise;
+  };
+
+  return {
+    // Drop old hits, then record this one if there's room - in one atomic update
+    async hit(key, limit, windowMs) {
+      const { hits } = await getCollections();
+      const now = Date.now();
+      const result = await hits.findOneAndUpdate({ _id: key }, [
+        { $set: { hits: { $filter: { input: { $ifNull: ['$hits', []] }, cond: { $gt: ['$$this', now - windowMs] } } } } },
+        { $set: { allowed: { $lt: [{ $size: '$hits' }, limit] } } },
+        {
+          $set: {
+            hits: { $cond: ['$allowed', { $concatArrays: ['$hits', [now]] }, '$hits'] },
+            expiresAt: new Date(now + windowMs)
+          }
+        }
+      ], { upsert: true, returnDocument: 'after' });
+      const doc = result.value;
+      return { allowed: doc.allowed, count: doc.hits.length, resetAt: (doc.hits[0] || now) + windowMs };
+    },
+    async getTokens(key, day) {
+      const { tokens } = await getCollections();
+      const doc = await tokens.findOne({ _id: `${day}:${key}` });
+      return doc ? doc.tokens : 0;
+    },
+    async addTokens(key, day, count, meta = {}) {
+      const { tokens } = await getCollections();
+      await tokens.updateOne(
+        { _id: `${day}:${key}` },
+        {
+          $inc: { tokens: count, requests: 1 },
+          $set: { ...meta, day, expiresAt: new Date(Date.parse(day) + 8 * DAY) }
+        },
+        { upsert: true }
+      );
+    },
+    async listTokens(prefix, day) {
+      const { tokens } = await getCollections();
+      const escaped = `${day}:${prefix}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const docs = await tokens.find({ _id: { $regex: `^${escaped}` } }).toArray();
+      return docs.map(doc => ({ key: doc._id.slice(day.length + 1), tokens: doc.tokens }));
+    }
+  };
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const useMongo = process.env.RATE_LIMIT_STORE
+      ? process.env.RATE_LIMIT_STORE === 'mongodb'
+      : isMongoConfigured();
+    store = useMongo ? createMongoStore() : createMemoryStore();
+    console.log(`Rate limits kept in ${useMongo ? 'MongoDB' : 'memory'}`);
+  }
+  return store;
+}
+
+// Who a request counts against: the signed-in user, or the client address when sign-in is off
+function getSubject(ctx) {
+  const user = ctx.state.user;
+  if (user && user.id !== 'anonymous') return `user:${user.id}`;
+  const forwarded = ctx.header('x-forwarded-for');
+  return `ip:${forwarded ? forwarded.split(',')[0].trim() : 'local'}`;
+}
+
+// Remaining token budget for one user and model, for the settings panel
+async function getQuota(subject, modelId) {
+  const limits = getLimits(modelId);
+  const { day, resetAt } = currentDay();
+  const used = await getStore().getTokens(`${subject}|${modelId}`, day);
+  return {
+    model: modelId,
+    limit: limits.dailyTokens || null,
+    used,
+    remaining: limits.dailyTokens ? Math.max(0, limits.dailyTokens - used) : null,
+    resetAt
+  };
+}
+
+// Today's usage for every model a user has called
+async function listQuotas(subject) {
+  const { day } = currentDay();
+  const entries = await getStore().listTokens(`${subject}|`, day);
+  return Promise.all(entries.map(entry => getQuota(subject, entry.key.slice(subject.length + 1))));
+}
+
+// Middleware: refuses requests over the rate limit or the day's token budget with a 429, and
+// charges the tokens a request used once it's done. getModel(ctx) names the model being called.
+// Handlers report usage in ctx.state.usage ({ total_tokens }); recordUsage (lib/usage.js), which runs
+// after this middleware, fills in an estimate when the upstream didn't send one. Nothing is charged
+// when the upstream failed before answering (ctx.state.upstreamFailed), so an outage doesn't eat budgets.
+// When the store fails (MongoDB unreachable, say) the request goes through unchecked rather than
+// failing: a limiter outage shouldn't take the gateway down. `store` replaces the configured store.
+function rateLimit({ getModel = ctx => ctx.state.route.model.id, store: limitStoreOverride } = {}) {
+  return async (ctx, next) => {
+    const modelId = getModel(ctx);
+    const subject = getSubject(ctx);
+    const key = `${subject}|${modelId}`;
+    const limits = getLimits(modelId);
+    const { day, resetAt: dayResetAt } = currentDay();
+    const limitStore = limitStoreOverride || getStore();
+    const failOpen = (error) => {
+      console.warn(`Rate limit store unavailable, not limiting this request: ${error.message}`);
+      return null;
+    };
+
+    const window = limits.requests > 0
+      ? await limitStore.hit(key, limits.requests, limits.windowMs).catch(failOpen)
+      : null;
+    if (window) {
+      const resetSeconds = Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000));
+      ctx.setHeader('X-RateLimit-Limit', String(limits.requests));
+      ctx.setHeader('X-RateLimit-Remaining', String(Math.max(0, limits.requests - window.count)));
+      ctx.setHeader('X-RateLimit-Reset', String(resetSeconds));
+      if (!window.allowed) {
+        throw new HttpError(429, 'Rate limit exceeded',
+          `You can send ${limits.requests} requests to ${modelId} every ${limits.windowMs / 1000} seconds; try again in ${resetSeconds}s`,
+          { headers: { 'Retry-After': String(resetSeconds) } });
+      }
+    }
+
+    const used = limits.dailyTokens > 0 ? await limitStore.getTokens(key, day).catch(failOpen) : null;
+    if (used !== null) {
+      const remaining = Math.max(0, limits.dailyTokens - used);
+      const resetSeconds = Math.ceil((dayResetAt - Date.now()) / 1000);
+      ctx.setHeader('X-Token-Budget-Limit', String(limits.dailyTokens));
+      ctx.setHeader('X-Token-Budget-Remaining', String(remaining));
+      ctx.setHeader('X-Token-Budget-Reset', String(resetSeconds));
+      if (remaining === 0) {
+        throw new HttpError(429, 'Token budget used up',
+          `You have used today's ${limits.dailyTokens.toLocaleString('en-US')} tokens for ${modelId}; the budget resets at midnight UTC`,
+          { headers: { 'Retry-After': String(resetSeconds) } });
+      }
+      // Don't let one reply run past the budget
+      if (ctx.body && ctx.body.max_tokens > remaining) {
+        console.log(`Lowered max_tokens from ${ctx.body.max_tokens} to the remaining budget of ${remaining}`);
+        ctx.body.max_tokens = remaining;
+      }
+    }
+
+    const charge = () => {
+      const tokens = (ctx.state.usage && ctx.state.usage.total_tokens) || 0;
+      if (!tokens || ctx.state.upstreamFailed) return Promise.resolve();
+      return limitStore.addTokens(key, day, tokens, { subject, model: modelId })
+        .catch(error => console.error('Could not record token usage:', error.message));
+    };
+
+    const result = await next();
+    if (!result || result.status >= 400) return result;
+
+    // Streams are charged when they end
+    if (result.stream) {
+      const run = result.stream;
+      return {
+        ...result,
+        stream: async (io) => {
+          try {
+            await run(io);
+          } finally {
+            await charge();
+          }
+        }
+      };
+    }
+    await charge();
+    return result;
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_HEADERS,
+  getLimits,
+  getSubject,
+  getQuota,
+  listQuotas,
+  rateLimit
+};
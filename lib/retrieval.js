@@ -0,0 +1,309 @@
+// lib/retrieval.js
+// Search, fusion and reranking helpers for the RAG endpoint
+const fetch = require('node-fetch');
+
+// Fields returned for every retrieved chunk
+const RESULT_PROJECTION = {
+  _id: 1, text: 1, source: 1, page: 1, chunkIndex: 1, documentType: 1, tags: 1, author: 1, date: 1
+};
+
+// Collections the knowledge base routes may search and write to: exactly those in RAG_COLLECTIONS
+// (comma-separated) when it is set, otherwise names starting with RAG_COLLECTION_PREFIX (default "kb_").
+// The default collection, MONGODB_COLLECTION, is always allowed. This keeps the app's own collections
+// (tokens, threads, rate limits, usage) out of reach.
+const DEFAULT_COLLECTION_PREFIX = 'kb_';
+
+// Standard reciprocal-rank fusion constant (Cormack et al.)
+const DEFAULT_RRF_K = 60;
+
+// Chunks whose word shingles overlap at least this much are treated as duplicates
+const DEFAULT_DEDUPE_THRESHOLD = 0.9;
+
+// Metadata fields that can be used as search pre-filters. Vector search can only filter on
+// fields declared with type "filter" in the vector index definition.
+const FILTER_FIELDS = ['source', 'documentType', 'tags', 'author'];
+
+function isKnowledgeBaseCollection(name) {
+  if (typeof name !== 'string' || !name || name.includes('$') || name.startsWith('system.')) return false;
+  if (name === process.env.MONGODB_COLLECTION) return true;
+  const allowed = (process.env.RAG_COLLECTIONS || '').split(',').map(item => item.trim()).filter(Boolean);
+  if (allowed.length > 0) return allowed.includes(name);
+  return name.startsWith(process.env.RAG_COLLECTION_PREFIX || DEFAULT_COLLECTION_PREFIX);
+}
+
+// What isKnowledgeBaseCollection accepts, for error messages
+function describeKnowledgeBaseCollections() {
+  const allowed = (process.env.RAG_COLLECTIONS || '').split(',').map(item => item.trim()).filter(Boolean);
+  if (allowed.length > 0) return `Use one of: ${allowed.join(', ')}`;
+  return `Knowledge base collection names start with "${process.env.RAG_COLLECTION_PREFIX || DEFAULT_COLLECTION_PREFIX}"`;
+}
+
+// Turn a request filter object into a MongoDB pre-filter, or null when there is nothing to filter on.
+// Accepts { source, documentType, tags, author } as strings or string arrays and dateFrom/dateTo.
+function buildMetadataFilter(filter) {
+  if (!filter || typeof filter !== 'object') return null;
+
+  const clauses = [];
+  FILTER_FIELDS.forEach(field => {
+    const value = filter[field];
+    if (value === undefined || value === null || value === '') return;
+    const values = (Array.isArray(value) ? value : [value])
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim());
+    if (values.length === 0) return;
+    clauses.push({ [field]: values.length === 1 ? { $eq: values[0] } : { $in: values } });
+  });
+
+  const dateRange = {};
+  ['dateFrom', 'dateTo'].forEach(key => {
+    if (!filter[key]) return;
+    const date = new Date(filter[key]);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${key} filter: ${filter[key]}`);
+    }
+    dateRange[key === 'dateFrom' ? '$gte' : '$lte'] = date;
+  });
+  if (Object.keys(dateRange).length > 0) {
+    clauses.push({ date: dateRange });
+  }
+
+  if (clauses.length === 0) return null;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+// Atlas reports vector indexes either as vectorSearch indexes or as knnVector/vector search mappings
+function isVectorIndex(index) {
+  if (index.type === 'vectorSearch') return true;
+  const definition = index.latestDefinition || index.definition || {};
+  if (Array.isArray(definition.fields) && definition.fields.some(field => field.type === 'vector')) {
+    return true;
+  }
+  const mappedFields = definition.mappings && definition.mappings.fields;
+  if (!mappedFields) return false;
+  return Object.values(mappedFields).some(field =>
+    field && (field.type === 'vector' || field.type === 'knnVector')
+  );
+}
+
+// Check whether the collection has a usable vector search index with the given name
+async function hasVectorIndex(db, collection, indexName) {
+  return db.command({ listSearchIndexes: collection })
+    .then(result => {
+      const indexes = result.cursor.firstBatch;
+      return indexes.some(index => index.name === indexName && isVectorIndex(index));
+    })
+    .catch(() => false);
+}
+
+// Semantic search over the stored chunk embeddings
+async function vectorSearch(coll, queryVector, { index, limit, numCandidates, minScore = 0, filter = null }) {
+  const stage = {
+    index,
+    queryVector,
+    path: 'embedding',
+    numCandidates,
+    limit
+  };
+  if (filter) stage.filter = filter;
+
+  const results = await coll.aggregate([
+    {
+      $vectorSearch: stage
+    },
+    {
+      $project: {
+        ...RESULT_PROJECTION,
+        score: { $meta: 'vectorSearchScore' }
+      }
+    }
+  ]).toArray();
+
+  return results.filter(doc => doc.score >= minScore);
+}
+
+// Lexical search using the collection's text index
+async function textSearch(coll, query, limit, filter = null) {
+  return coll.find(
+    { $text: { $search: query }, ...(filter || {}) },
+    { projection: { ...RESULT_PROJECTION, score: { $meta: 'textScore' } } }
+  )
+  .sort({ score: { $meta: 'textScore' } })
+  .limit(limit)
+  .toArray();
+}
+
+// Last resort when no index is usable: case-insensitive keyword match
+async function regexSearch(coll, query, limit, filter = null) {
+  const keywords = query.split(/\s+/)
+    .filter(w => w.length > 3)
+    .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (keywords.length === 0) return [];
+
+  const results = await coll.find({
+    text: { $regex: keywords.join('|'), $options: 'i' },
+    ...(filter || {})
+  })
+  .limit(limit)
+  .project(RESULT_PROJECTION)
+  .toArray();
+
+  // Score by the share of keywords each chunk contains so the list has a usable order
+  const patterns = keywords.map(keyword => new RegExp(keyword, 'i'));
+  return results
+    .map(doc => ({ ...doc, score: patterns.filter(p => p.test(doc.text)).length / patterns.length }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Identify a chunk across retrievers (and collections)
+function chunkKey(doc) {
+  const prefix = doc.collection ? `${doc.collection}:` : '';
+  if (doc._id) return prefix + String(doc._id);
+  return `${prefix}${doc.source || ''}#${doc.chunkIndex !== undefined ? doc.chunkIndex : doc.text}`;
+}
+
+// Merge ranked lists with reciprocal-rank fusion: score = sum(1 / (rrfK + rank))
+// `lists` is an array of { retriever, results } - one entry per retriever and collection.
+function reciprocalRankFusion(lists, rrfK = DEFAULT_RRF_K) {
+  const fused = new Map();
+
+  lists.forEach(({ retriever, results }) => {
+    results.forEach((doc, index) => {
+      const key = chunkKey(doc);
+      if (!fused.has(key)) {
+        const { score, ...chunk } = doc;
+        fused.set(key, { ...chunk, scores: {}, ranks: {}, rrfScore: 0 });
+      }
+      const entry = fused.get(key);
+      entry.scores[retriever] = doc.score;
+      entry.ranks[retriever] = index + 1;
+      entry.rrfScore += 1 / (rrfK + index + 1);
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.rrfScore - a.rrfScore);
+}
+
+// Word trigram shingles used to compare chunk text
+function shingles(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const set = new Set();
+  if (words.length < 3) {
+    set.add(words.join(' '));
+    return set;
+  }
+  for (let i = 0; i <= words.length - 3; i++) {
+    set.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  }
+  return set;
+}
+
+function jaccard(a, b) {
+  let intersection = 0;
+  a.forEach(item => {
+    if (b.has(item)) intersection++;
+  });
+  const union = a.size + b.size - intersection;
+  return union === 0 ? 1 : intersection / union;
+}
+
+// Drop chunks that are near-identical to a higher-ranked chunk (e.g. the same file uploaded twice)
+function dedupeChunks(results, threshold = DEFAULT_DEDUPE_THRESHOLD) {
+  const kept = [];
+  const keptShingles = [];
+  let removed = 0;
+
+  for (const doc of results) {
+    const docShingles = shingles(doc.text);
+    const duplicate = keptShingles.some(existing => jaccard(existing, docShingles) >= threshold);
+    if (duplicate) {
+      removed++;
+      continue;
+    }
+    kept.push(doc);
+    keptShingles.push(docShingles);
+  }
+
+  return { results: kept, removed };
+}
+
+// Local reranker: rewards chunks that cover more of the query terms, and cover them close together
+function localRerankScores(query, documents) {
+  const terms = [...new Set((query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(t => t.length > 2))];
+  if (terms.length === 0) return documents.map(() => 0);
+
+  return documents.map(text => {
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const positions = terms.map(term => words.indexOf(term)).filter(pos => pos !== -1);
+    if (positions.length === 0) return 0;
+
+    const coverage = positions.length / terms.length;
+    const span = Math.max(...positions) - Math.min(...positions) + 1;
+    const proximity = positions.length > 1 ? Math.min(1, positions.length / span * 4) : 1;
+    return coverage * 0.8 + proximity * 0.2;
+  });
+}
+
+// Remote reranker speaking the Cohere/Jina style /rerank API
+async function remoteRerankScores(query, documents) {
+  const url = process.env.RERANK_API_URL;
+  const apiKey = process.env.RERANK_API_KEY;
+  if (!url || !apiKey) {
+    throw new Error('RERANK_API_URL and RERANK_API_KEY are required for the api reranker');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({
+      model: process.env.RERANK_MODEL,
+      query,
+      documents,
+      top_n: documents.length
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Rerank API error (${response.status}): ${errorText}`);
+  }
+
+  const data = await response.json();
+  const scores = documents.map(() => 0);
+  (data.results || []).forEach(item => {
+    scores[item.index] = item.relevance_score;
+  });
+  return scores;
+}
+
+// Reorder fused results with the configured reranker, recording its score on each chunk
+async function rerank(query, results) {
+  const provider = (process.env.RERANK_PROVIDER || 'local').toLowerCase();
+  const documents = results.map(doc => doc.text);
+  const scores = provider === 'api'
+    ? await remoteRerankScores(query, documents)
+    : localRerankScores(query, documents);
+
+  const reranked = results
+    .map((doc, index) => ({ ...doc, scores: { ...doc.scores, rerank: scores[index] } }))
+    .sort((a, b) => b.scores.rerank - a.scores.rerank);
+
+  return { results: reranked, provider: provider === 'api' ? 'api' : 'local' };
+}
+
+module.exports = {
+  DEFAULT_RRF_K,
+  DEFAULT_DEDUPE_THRESHOLD,
+  isKnowledgeBaseCollection,
+  describeKnowledgeBaseCollections,
+  buildMetadataFilter,
+  hasVectorIndex,
+  vectorSearch,
+  textSearch,
+  regexSearch,
+  reciprocalRankFusion,
+  dedupeChunks,
+  rerank
+};
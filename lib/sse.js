@@ -0,0 +1,74 @@
+// lib/sse.js
+// Server-sent events helpers for relaying streamed chat completions
+const { StringDecoder } = require('string_decoder');
+
+// Incremental SSE parser. Upstream chunks can end mid-line (or mid-character) and can hold several
+// events, so text is buffered until a blank line completes an event.
+// onEvent receives { event, data } with multi-line data joined by "\n".
+function createSseParser(onEvent) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventName || 'message', data: dataLines.join('\n') });
+    }
+    eventName = '';
+    dataLines = [];
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    // Lines starting with a colon are comments (usually keep-alives)
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') dataLines.push(value);
+    else if (field === 'event') eventName = value;
+  };
+
+  return {
+    // Accepts Buffers or strings
+    push(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      const lines = buffer.split(/\r?\n/);
+      // The last piece is an unfinished line (or "" after a newline)
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+    // Flush whatever is left once the upstream body ends
+    end() {
+      buffer += decoder.end();
+      if (buffer) processLine(buffer);
+      buffer = '';
+      dispatch();
+    }
+  };
+}
+
+// Serialize one event; objects are sent as JSON
+function formatSseEvent(data, event) {
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  const lines = text.split(/\r?\n/).map(line => `data: ${line}`).join('\n');
+  return `${event ? `event: ${event}\n` : ''}${lines}\n\n`;
+}
+
+// Comment line that keeps idle proxies from closing the connection; EventSource clients ignore it
+function formatSseComment(text) {
+  return `: ${text}\n\n`;
+}
+
+module.exports = {
+  createSseParser,
+  formatSseEvent,
+  formatSseComment
+};
@@ -0,0 +1,211 @@
+// lib/threads.js
+// Conversation sync helpers: record cleanup, last-writer-wins merging and revision-guarded saves
+
+// Concurrent writers to the same thread retry the merge this many times
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Keep a single thread document well under MongoDB's 16MB limit
+const MAX_MESSAGES = 2000;
+// Threads are sent whole, image attachments (data URLs) included
+const MAX_THREAD_BODY_BYTES = 12 * 1024 * 1024;
+
+// Where a thread's name came from: the "Thread n" placeholder, automatic titling, or the user
+const TITLE_SOURCES = ['default', 'auto', 'user'];
+
+// Prompt library versions pinned to a thread carry their text, so other devices can use them too
+const MAX_PINNED_PROMPT_LENGTH = 20000;
+
+function toTime(value, fallback = 0) {
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return isNaN(time) ? fallback : time;
+}
+
+// { templateId: { version, name, text } }, dropping pins that aren't of that shape
+function normalizePromptPins(pins) {
+  if (!pins || typeof pins !== 'object' || Array.isArray(pins)) return {};
+  const clean = {};
+  Object.entries(pins).forEach(([templateId, pin]) => {
+    if (!pin || typeof pin.text !== 'string' || pin.text.length > MAX_PINNED_PROMPT_LENGTH) return;
+    if (!Number.isInteger(pin.version) || pin.version < 1) return;
+    clean[templateId] = {
+      version: pin.version,
+      name: typeof pin.name === 'string' ? pin.name : templateId,
+      text: pin.text
+    };
+  });
+  return clean;
+}
+
+// Validate and clean a thread sent by a client. Throws with a message suitable for a 400 response.
+function normalizeThread(input, id) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Thread body must be an object');
+  }
+  if (!Array.isArray(input.messages)) {
+    throw new Error('Thread messages must be an array');
+  }
+  if (input.messages.length > MAX_MESSAGES) {
+    throw new Error(`Threads are limited to ${MAX_MESSAGES} messages`);
+  }
+
+  // Ids are kept as sent (the browser uses numeric ids); the route id must agree with the body
+  const threadId = input.id !== undefined && input.id !== null ? input.id : id;
+  if (threadId === undefined || threadId === null || threadId === '') {
+    throw new Error('Thread id is required');
+  }
+  if (id !== undefined && String(threadId) !== String(id)) {
+    throw new Error('Thread id does not match the URL');
+  }
+
+  const now = Date.now();
+  const updatedAt = toTime(input.updatedAt, now);
+
+  const messages = input.messages.map((message, index) => {
+    if (!message || typeof message !== 'object' || !message.id) {
+      throw new Error(`Message ${index} needs an id`);
+    }
+    // Local-only fields (e.g. File objects) never reach the server
+    const { originalFile, isPlaceholder, isStreaming, ...rest } = message;
+    const clean = {
+      ...rest,
+      id: String(message.id),
+      updatedAt: toTime(message.updatedAt, updatedAt)
+    };
+    if (Array.isArray(message.files)) {
+      clean.files = message.files.map(({ originalFile: file, ...meta }) => meta);
+    }
+    return clean;
+  });
+
+  const deletedMessages = Array.isArray(input.deletedMessages)
+    ? input.deletedMessages
+      .filter(entry => entry && entry.id)
+      .map(entry => ({ id: String(entry.id), deletedAt: toTime(entry.deletedAt, updatedAt) }))
+    : [];
+
+  const createdAt = toTime(input.createdAt, updatedAt);
+  return {
+    id: threadId,
+    name: typeof input.name === 'string' ? input.name : 'Untitled thread',
+    titleSource: TITLE_SOURCES.includes(input.titleSource) ? input.titleSource : 'user',
+    nameUpdatedAt: toTime(input.nameUpdatedAt, createdAt),
+    pinned: input.pinned === true,
+    archived: input.archived === true,
+    flagsUpdatedAt: toTime(input.flagsUpdatedAt, createdAt),
+    promptPins: normalizePromptPins(input.promptPins),
+    promptPinsUpdatedAt: toTime(input.promptPinsUpdatedAt, createdAt),
+    createdAt,
+    updatedAt,
+    messages,
+    deletedMessages
+  };
+}
+
+// Message creation time, used to keep the merged conversation in order
+function messageTime(message) {
+  return toTime(message.timestamp, message.updatedAt || 0);
+}
+
+// Merge two copies of a thread. Each message is resolved independently: the copy with the newest
+// updatedAt wins, and a deletion wins over any edit made before it.
+function mergeThreads(existing, incoming) {
+  if (!existing) return incoming;
+
+  // Deletions from both sides, keeping the latest time for each message
+  const deletions = new Map();
+  [...(existing.deletedMessages || []), ...incoming.deletedMessages].forEach(entry => {
+    deletions.set(entry.id, Math.max(deletions.get(entry.id) || 0, entry.deletedAt));
+  });
+
+  const messages = new Map();
+  [...(existing.messages || []), ...incoming.messages].forEach(message => {
+    const current = messages.get(message.id);
+    if (!current || message.updatedAt >= current.updatedAt) {
+      messages.set(message.id, message);
+    }
+  });
+
+  const merged = [...messages.values()]
+    .filter(message => !deletions.has(message.id) || deletions.get(message.id) < message.updatedAt)
+    .sort((a, b) => messageTime(a) - messageTime(b) || (a.id < b.id ? -1 : 1));
+
+  // The name, the pinned/archived flags and the prompt pins each follow whichever side changed them last
+  const incomingNameIsNewer = incoming.nameUpdatedAt >= (existing.nameUpdatedAt || 0);
+  const incomingFlagsAreNewer = incoming.flagsUpdatedAt >= (existing.flagsUpdatedAt || 0);
+  const incomingPinsAreNewer = incoming.promptPinsUpdatedAt >= (existing.promptPinsUpdatedAt || 0);
+
+  return {
+    id: existing.id,
+    name: incomingNameIsNewer ? incoming.name : existing.name,
+    titleSource: incomingNameIsNewer ? incoming.titleSource : existing.titleSource,
+    nameUpdatedAt: Math.max(incoming.nameUpdatedAt, existing.nameUpdatedAt || 0),
+    pinned: incomingFlagsAreNewer ? incoming.pinned : Boolean(existing.pinned),
+    archived: incomingFlagsAreNewer ? incoming.archived : Boolean(existing.archived),
+    flagsUpdatedAt: Math.max(incoming.flagsUpdatedAt, existing.flagsUpdatedAt || 0),
+    promptPins: incomingPinsAreNewer ? incoming.promptPins : existing.promptPins || {},
+    promptPinsUpdatedAt: Math.max(incoming.promptPinsUpdatedAt, existing.promptPinsUpdatedAt || 0),
+    createdAt: Math.min(existing.createdAt, incoming.createdAt),
+    updatedAt: Math.max(existing.updatedAt, incoming.updatedAt),
+    messages: merged,
+    deletedMessages: [...deletions.entries()].map(([id, deletedAt]) => ({ id, deletedAt }))
+  };
+}
+
+// Thread ids are client timestamps, so the stored key includes the owner: two users' threads
+// created in the same millisecond stay apart
+function threadKey(owner, id) {
+  return `${owner}|${id}`;
+}
+
+// Strip storage-only fields before returning a thread. The revision is kept: it increases on every
+// write, so clients use it to spot changes without relying on their own clocks.
+function toResponse(doc) {
+  const { _id, owner, ...thread } = doc;
+  return thread;
+}
+
+// Read-merge-write guarded by a revision number, so two devices saving at once both keep their messages
+async function saveThread(coll, owner, incoming) {
+  const key = threadKey(owner, incoming.id);
+
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const existing = await coll.findOne({ _id: key, owner });
+
+    // A deletion wins unless the incoming copy was changed after it
+    if (existing && existing.deletedAt && incoming.updatedAt <= existing.deletedAt) {
+      return { deleted: true, thread: toResponse(existing) };
+    }
+
+    const live = existing && !existing.deletedAt ? existing : null;
+    const merged = { ...mergeThreads(live, incoming), deletedAt: null };
+
+    if (existing) {
+      const result = await coll.replaceOne(
+        { _id: key, owner, revision: existing.revision },
+        { ...merged, _id: key, owner, revision: existing.revision + 1 }
+      );
+      if (result.matchedCount === 1) return { thread: { ...merged, revision: existing.revision + 1 } };
+    } else {
+      try {
+        await coll.insertOne({ ...merged, _id: key, owner, revision: 1 });
+        return { thread: { ...merged, revision: 1 } };
+      } catch (insertError) {
+        // Another request created it first - merge with that copy instead
+        if (insertError.code !== 11000) throw insertError;
+      }
+    }
+    console.log(`Thread ${key} changed during save, retrying (attempt ${attempt})`);
+  }
+
+  throw new Error('Thread is being updated too often, please retry');
+}
+
+module.exports = {
+  MAX_MESSAGES,
+  MAX_THREAD_BODY_BYTES,
+  threadKey,
+  toResponse,
+  normalizeThread,
+  mergeThreads,
+  saveThread
+};
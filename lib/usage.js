@@ -0,0 +1,275 @@
+// lib/usage.js
+// Token usage and cost of every completion, recorded per user, thread, model and reasoning method
+//
+//   MODEL_PRICES           JSON price overrides in USD per million tokens,
+//                          e.g. {"deepseek-chat": {"input": 0.27, "output": 1.10}}
+//   USAGE_RETENTION_DAYS   how long usage records are kept in MongoDB (default 365)
+// Records go to the usage_events collection when MongoDB is configured, otherwise to memory.
+const { isMongoConfigured, getDb } = require('./mongo');
+const { getSubject } = require('./ratelimit');
+
+const DEFAULT_RETENTION_DAYS = 365;
+const MEMORY_EVENT_LIMIT = 5000;
+
+// Sent by the browser so usage can be grouped by conversation and reasoning method
+const USAGE_REQUEST_HEADERS = ['X-Thread-Id', 'X-Reasoning-Method'];
+
+// List prices in USD per million tokens. Models that aren't listed (self-hosted ones) cost nothing.
+const DEFAULT_PRICES = {
+  'accounts/fireworks/models/llama-v3p3-70b-instruct': { input: 0.9, output: 0.9 },
+  'accounts/fireworks/models/llama-v3p1-8b-instruct': { input: 0.2, output: 0.2 },
+  'accounts/fireworks/models/deepseek-v3-0324': { input: 0.9, output: 0.9 },
+  'accounts/fireworks/models/qwen2p5-coder-32b-instruct': { input: 0.9, output: 0.9 },
+  'accounts/fireworks/models/mixtral-8x22b-instruct': { input: 1.2, output: 1.2 },
+  'accounts/fireworks/models/phi-3-vision-128k-instruct': { input: 0.2, output: 0.2 },
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19 },
+  'perplexity/sonar-pro': { input: 3, output: 15 }
+};
+
+function getPrices() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.MODEL_PRICES || '{}');
+  } catch (error) {
+    console.warn('Ignoring MODEL_PRICES, it is not valid JSON:', error.message);
+  }
+  return { ...DEFAULT_PRICES, ...overrides };
+}
+
+// USD for one completion, or null when the model has no price
+function costOf(modelId, usage) {
+  const price = getPrices()[modelId];
+  if (!price) return null;
+  const cost = (usage.prompt_tokens * (price.input || 0) + usage.completion_tokens * (price.output || 0)) / 1e6;
+  return Math.round(cost * 1e8) / 1e8;
+}
+
+// Rough token count for text we haven't got a usage report for (about four characters per token)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function estimatePromptTokens(messages = []) {
+  return messages.reduce((total, message) => {
+    const parts = Array.isArray(message.content) ? message.content : [{ text: message.content }];
+    return total + 4 + parts.reduce((sum, part) => sum + estimateTokens(part.text), 0);
+  }, 0);
+}
+
+// The browser says which method it prompted for; older clients are recognised by their system prompt
+function getReasoningMethod(ctx) {
+  const declared = ctx.header('x-reasoning-method');
+  if (declared) return declared.slice(0, 40);
+  const systemPrompt = ctx.body && ctx.body.messages && ctx.body.messages[0] && ctx.body.messages[0].content;
+  if (typeof systemPrompt !== 'string') return 'Standard';
+  if (systemPrompt.includes('Chain of Draft')) return 'CoD';
+  if (systemPrompt.includes('Chain of Thought')) return 'CoT';
+  return 'Standard';
+}
+
+function getThreadId(ctx) {
+  const threadId = ctx.header('x-thread-id');
+  return threadId ? threadId.slice(0, 100) : null;
+}
+
+// The usage a request is charged and recorded with: the upstream's report when it sent one
+// (prompt, completion and, for reasoning models, reasoning tokens), otherwise an estimate from the
+// prompt and ctx.state.completionText. cost_usd is added from the price table. Safe to call twice.
+function finalizeUsage(ctx, modelId) {
+  const reported = ctx.state.usage;
+  if (ctx.state.usageFinalized) return reported;
+
+  let usage;
+  if (reported && (reported.total_tokens || reported.completion_tokens)) {
+    const details = reported.completion_tokens_details || {};
+    usage = {
+      prompt_tokens: reported.prompt_tokens || 0,
+      completion_tokens: reported.completion_tokens || 0,
+      total_tokens: reported.total_tokens || (reported.prompt_tokens || 0) + (reported.completion_tokens || 0),
+      estimated: false
+    };
+    if (details.reasoning_tokens) usage.reasoning_tokens = details.reasoning_tokens;
+  } else {
+    const prompt = estimatePromptTokens(ctx.body && ctx.body.messages);
+    const completion = estimateTokens(ctx.state.completionText);
+    usage = { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion, estimated: true };
+  }
+  usage.cost_usd = costOf(modelId, usage);
+
+  ctx.state.usage = usage;
+  ctx.state.usageFinalized = true;
+  return usage;
+}
+
+/*
+ * Stores. Both keep one event per completion.
+ *   add(event)
+ *   summarize({ subject, since, threadId }) -> [{ model, reasoningMethod, threadId, requests, ...token and cost sums }]
+ */
+
+const SUM_FIELDS = ['prompt_tokens', 'completion_tokens', 'total_tokens', 'cost_usd'];
+
+function createMemoryStore() {
+  const events = [];
+
+  return {
+    async add(event) {
+      events.push(event);
+      if (events.length > MEMORY_EVENT_LIMIT) events.splice(0, events.length - MEMORY_EVENT_LIMIT);
+    },
+    async summarize({ subject, since, threadId }) {
+      const groups = new Map();
+      events
+        .filter(event => event.subject === subject && event.at >= since && (!threadId || event.threadId === threadId))
+        .forEach(event => {
+          const key = [event.model, event.reasoningMethod, event.threadId].join('\n');
+          const group = groups.get(key) || { model: event.model, reasoningMethod: event.reasoningMethod, threadId: event.threadId, requests: 0 };
+          groups.set(key, addTotals(group, { ...event, requests: 1 }));
+        });
+      return [...groups.values()];
+    }
+  };
+}
+
+function createMongoStore() {
+  let collectionPromise = null;
+
+  const getCollection = () => {
+    if (!collectionPromise) {
+      collectionPromise = (async () => {
+        const db = await getDb();
+        const events = db.collection('usage_events');
+        const days = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+        await events.createIndex({ at: 1 }, { expireAfterSeconds: days * 86400 });
+        await events.createIndex({ subject: 1, at: -1 });
+        return events;
+      })();
+      collectionPromise.catch(() => { collectionPromise = null; });
+    }
+    return collectionPromise;
+  };
+
+  return {
+    async add(event) {
+      const events = await getCollection();
+      await events.insertOne(event);
+    },
+    async summarize({ subject, since, threadId }) {
+      const events = await getCollection();
+      const match = { subject, at: { $gte: since } };
+      if (threadId) match.threadId = threadId;
+      const sums = Object.fromEntries(SUM_FIELDS.map(field => [field, { $sum: `$${field}` }]));
+      const rows = await events.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { model: '$model', reasoningMethod: '$reasoningMethod', threadId: '$threadId' },
+            requests: { $sum: 1 },
+            ...sums
+          }
+        }
+      ]).toArray();
+      return rows.map(({ _id, ...totals }) => ({ ..._id, ...totals }));
+    }
+  };
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = isMongoConfigured() ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+}
+
+function addTotals(target, row) {
+  target.requests += row.requests;
+  SUM_FIELDS.forEach(name => { target[name] = (target[name] || 0) + (row[name] || 0); });
+  return target;
+}
+
+// Add up grouped rows under one field (model, reasoning method or thread), largest first
+function groupBy(rows, field) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row[field] || null;
+    groups.set(key, addTotals(groups.get(key) || { [field]: key, requests: 0 }, row));
+  });
+  return [...groups.values()].sort((a, b) => b.total_tokens - a.total_tokens);
+}
+
+// A user's usage since a date, in total and broken down by model, reasoning method and thread
+async function summarizeUsage(subject, { since, threadId } = {}) {
+  const rows = await getStore().summarize({ subject, since, threadId });
+  const empty = { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+  return {
+    since: since.toISOString(),
+    threadId: threadId || null,
+    totals: rows.reduce(addTotals, empty),
+    byModel: groupBy(rows, 'model'),
+    byMethod: groupBy(rows, 'reasoningMethod'),
+    byThread: threadId ? [] : groupBy(rows.filter(row => row.threadId), 'threadId').slice(0, 50)
+  };
+}
+
+// Middleware: once a request is done - for streams, once the stream ends - completes ctx.state.usage
+// with finalizeUsage and records it. Goes after rateLimit, so the budget is charged the same tokens.
+// getModel(ctx) names the model that answered; source says which endpoint served it. Requests whose
+// upstream failed before producing anything (ctx.state.upstreamFailed) are not recorded.
+function recordUsage({ source, getModel = ctx => ctx.state.servedModel || ctx.state.route.model.id } = {}) {
+  return async (ctx, next) => {
+    const record = () => {
+      if (ctx.state.upstreamFailed) {
+        console.log('Usage: none recorded, the upstream failed before answering');
+        return Promise.resolve();
+      }
+      const modelId = getModel(ctx);
+      const usage = finalizeUsage(ctx, modelId);
+      const event = {
+        at: new Date(),
+        subject: getSubject(ctx),
+        threadId: getThreadId(ctx),
+        model: modelId,
+        reasoningMethod: getReasoningMethod(ctx),
+        source,
+        ...usage
+      };
+      console.log(`Usage: ${usage.total_tokens} tokens${usage.estimated ? ' (estimated)' : ''}, ` +
+        `${usage.cost_usd === null ? 'unpriced' : `$${usage.cost_usd.toFixed(6)}`} for ${modelId}`);
+      return getStore().add(event).catch(error => console.error('Could not record usage:', error.message));
+    };
+
+    const result = await next();
+    if (!result || result.status >= 400) return result;
+
+    if (result.stream) {
+      const run = result.stream;
+      return {
+        ...result,
+        stream: async (io) => {
+          try {
+            await run(io);
+          } finally {
+            await record();
+          }
+        }
+      };
+    }
+    await record();
+    return result;
+  };
+}
+
+module.exports = {
+  USAGE_REQUEST_HEADERS,
+  getPrices,
+  costOf,
+  estimateTokens,
+  estimatePromptTokens,
+  getReasoningMethod,
+  finalizeUsage,
+  summarizeUsage,
+  recordUsage
+};
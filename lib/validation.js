@@ -0,0 +1,278 @@
+// lib/validation.js
+// Chat completion payloads: a declared schema, per-model normalization and size limits, checked before any upstream call
+const { resolveModel } = require('./providers');
+const { HttpError } = require('./pipeline');
+
+// Vercel rejects request bodies over 4.5MB; stay under it with room for headers
+const MAX_CHAT_BODY_BYTES = 4 * 1024 * 1024;
+const MAX_MESSAGES = 500;
+const MAX_TEXT_LENGTH = 400000;
+const MAX_IMAGES = 8;
+// Decoded size of one inline image; base64 adds a third, so two of them fit in one request
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const IMAGE_DATA_URL = /^data:image\/(png|jpe?g|gif|webp);base64,([A-Za-z0-9+/=\s]+)$/;
+
+// Sampling defaults for fields the client left out. Reasoning models pick their own.
+const SAMPLING_DEFAULTS = { temperature: 0.6, top_p: 1, presence_penalty: 0, frequency_penalty: 0 };
+const DEFAULT_MAX_TOKENS = 4008;
+
+// Schemas are plain objects: type (string, number, integer, boolean, array, object), required,
+// min/max for numbers, maxLength for strings, minItems/maxItems/items for arrays, properties for
+// objects, enum, anyOf for alternatives, and check(value, field, errors) for anything else.
+const TEXT_PART = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['text'], required: true },
+    text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH }
+  }
+};
+
+const IMAGE_PART = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['image_url'], required: true },
+    image_url: {
+      type: 'object',
+      required: true,
+      properties: {
+        url: { type: 'string', required: true, check: checkImageUrl },
+        detail: { type: 'string', enum: ['auto', 'low', 'high'] }
+      }
+    }
+  }
+};
+
+const MESSAGE = {
+  type: 'object',
+  properties: {
+    role: { type: 'string', enum: ['system', 'user', 'assistant'], required: true },
+    content: {
+      required: true,
+      anyOf: [
+        { type: 'string', maxLength: MAX_TEXT_LENGTH },
+        { type: 'array', minItems: 1, items: { anyOf: [TEXT_PART, IMAGE_PART], discriminator: 'type' } }
+      ]
+    },
+    name: { type: 'string', maxLength: 64 }
+  }
+};
+
+const CHAT_COMPLETION = {
+  type: 'object',
+  properties: {
+    model: { type: 'string', required: true, maxLength: 200 },
+    messages: { type: 'array', required: true, minItems: 1, maxItems: MAX_MESSAGES, items: MESSAGE },
+    max_tokens: { type: 'integer', min: 1 },
+    temperature: { type: 'number', min: 0, max: 2 },
+    top_p: { type: 'number', min: 0, max: 1 },
+    top_k: { type: 'integer', min: 1, max: 1000 },
+    presence_penalty: { type: 'number', min: -2, max: 2 },
+    frequency_penalty: { type: 'number', min: -2, max: 2 },
+    stop: {
+      anyOf: [
+        { type: 'string', maxLength: 200 },
+        { type: 'array', maxItems: 4, items: { type: 'string', maxLength: 200 } }
+      ]
+    },
+    seed: { type: 'integer' },
+    stream: { type: 'boolean' }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(type) {
+  if (type === 'integer') return 'an integer';
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// Collect { field, message } for every way value breaks the schema. Returns the cleaned value:
+// object fields the schema doesn't declare are dropped, so they never reach a provider.
+function validate(value, schema, field, errors) {
+  if (schema.anyOf) return validateAnyOf(value, schema, field, errors);
+
+  if (!matchesType(value, schema.type)) {
+    errors.push({ field, message: `must be ${describeType(schema.type)}` });
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push({ field, message: `must be at least ${schema.min}` });
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push({ field, message: `must be at most ${schema.max}` });
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (schema.check) schema.check(value, field, errors);
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    return schema.items ? value.map((item, index) => validate(item, schema.items, `${field}[${index}]`, errors)) : value;
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const cleaned = {};
+    Object.entries(schema.properties).forEach(([name, propertySchema]) => {
+      const path = field ? `${field}.${name}` : name;
+      if (value[name] === undefined || value[name] === null) {
+        if (propertySchema.required) errors.push({ field: path, message: 'is required' });
+        return;
+      }
+      cleaned[name] = validate(value[name], propertySchema, path, errors);
+    });
+    return cleaned;
+  }
+
+  return value;
+}
+
+// The first alternative that fits wins. A discriminator field (like a content part's type) picks
+// the alternative up front so its errors, not a generic "doesn't match", are reported.
+function validateAnyOf(value, schema, field, errors) {
+  if (schema.discriminator) {
+    if (typeOf(value) !== 'object') {
+      errors.push({ field, message: 'must be an object' });
+      return value;
+    }
+    const chosen = schema.anyOf.find(option => option.properties[schema.discriminator].enum.includes(value[schema.discriminator]));
+    if (chosen) return validate(value, chosen, field, errors);
+    const allowed = schema.anyOf.flatMap(option => option.properties[schema.discriminator].enum);
+    errors.push({ field: `${field}.${schema.discriminator}`, message: `must be one of ${allowed.join(', ')}` });
+    return value;
+  }
+
+  for (const option of schema.anyOf) {
+    const optionErrors = [];
+    const cleaned = validate(value, option, field, optionErrors);
+    if (optionErrors.length === 0) return cleaned;
+    if (matchesType(value, option.type)) {
+      errors.push(...optionErrors);
+      return value;
+    }
+  }
+  errors.push({ field, message: `must be ${schema.anyOf.map(option => describeType(option.type)).join(' or ')}` });
+  return value;
+}
+
+// Inline images must be base64 data URLs of a known format and size; remote images need https
+function checkImageUrl(url, field, errors) {
+  if (/^https:\/\//i.test(url)) return;
+  const match = url.match(IMAGE_DATA_URL);
+  if (!match) {
+    errors.push({ field, message: 'must be an https URL or a base64 data URL of a PNG, JPEG, GIF or WebP image' });
+    return;
+  }
+  const base64 = match[2].replace(/\s/g, '');
+  const bytes = Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+  if (bytes > MAX_IMAGE_BYTES) {
+    errors.push({ field, message: `image is ${(bytes / 1048576).toFixed(1)}MB; the limit is ${MAX_IMAGE_BYTES / 1048576}MB` });
+  }
+}
+
+// Checks that depend on the model: images only for vision models, and max_tokens within its limit
+function normalizeForModel(body, route, errors) {
+  const { capabilities = {} } = route.model;
+
+  let images = 0;
+  body.messages.forEach((message, index) => {
+    if (!Array.isArray(message.content)) return;
+    if (message.role !== 'user') {
+      errors.push({ field: `messages[${index}].content`, message: `must be a string for ${message.role} messages` });
+      return;
+    }
+    message.content.forEach((part, partIndex) => {
+      if (part.type !== 'image_url') return;
+      images += 1;
+      if (!capabilities.vision) {
+        errors.push({ field: `messages[${index}].content[${partIndex}]`, message: `${route.model.name || route.model.id} does not accept images` });
+      }
+    });
+  });
+  if (images > MAX_IMAGES) {
+    errors.push({ field: 'messages', message: `must contain at most ${MAX_IMAGES} images (found ${images})` });
+  }
+
+  const requestedMaxTokens = body.max_tokens || DEFAULT_MAX_TOKENS;
+  body.max_tokens = Math.min(requestedMaxTokens, route.maxTokens);
+  if (body.max_tokens !== requestedMaxTokens) {
+    console.log(`Adjusted max_tokens from ${requestedMaxTokens} to ${body.max_tokens} for ${route.model.id}`);
+  }
+
+  if (!capabilities.reasoning) {
+    Object.entries(SAMPLING_DEFAULTS).forEach(([name, value]) => {
+      if (body[name] === undefined) body[name] = value;
+    });
+  }
+  return body;
+}
+
+// Pick the provider for a model, turning routing errors into responses
+function resolveRoute(modelId) {
+  try {
+    return resolveModel(modelId);
+  } catch (routeError) {
+    console.error("Model routing error:", routeError.message);
+    if (routeError.code === 'provider_not_configured') {
+      throw new HttpError(500, 'API key not configured', routeError.message);
+    }
+    throw new HttpError(400, 'Unknown model', routeError.message);
+  }
+}
+
+function invalidRequest(errors) {
+  const first = `${errors[0].field}: ${errors[0].message}`;
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more problem${errors.length > 2 ? 's' : ''})` : '';
+  return new HttpError(400, 'Invalid request', first + more, { details: { errors } });
+}
+
+// Validate and normalize a chat completion request. Returns { body, route } or throws a 400 whose
+// `errors` lists every problem as { field, message }.
+function validateChatRequest(requestBody) {
+  const errors = [];
+  const body = validate(requestBody, CHAT_COMPLETION, '', errors);
+  if (errors.length > 0) throw invalidRequest(errors);
+
+  const route = resolveRoute(body.model);
+  normalizeForModel(body, route, errors);
+  if (errors.length > 0) throw invalidRequest(errors);
+
+  return { body, route };
+}
+
+// Middleware: replaces ctx.body with the normalized request and sets ctx.state.route
+function validateChat() {
+  return async (ctx, next) => {
+    const { body, route } = validateChatRequest(ctx.body);
+    ctx.body = body;
+    ctx.state.route = route;
+    return next();
+  };
+}
+
+module.exports = {
+  MAX_CHAT_BODY_BYTES,
+  CHAT_COMPLETION,
+  validate,
+  resolveRoute,
+  validateChatRequest,
+  validateChat
+};
@@ -0,0 +1,272 @@
+// scripts/benchmark.js
+// Compare Standard, CoT and CoD reasoning on a JSONL dataset of {"question", "answer"} pairs in GSM8K
+// format (the answer ends with "#### <final answer>"). Every question runs once per configuration
+// through the same validation, provider routing and failover as the API; answers are scored with
+// answersMatch from shared/reasoning.js. Reports accuracy, tokens, cost and latency per configuration.
+//   node scripts/benchmark.js <dataset.jsonl> [options]
+//     --model <id>            model to call (default deepseek-chat; local/mock with --mock)
+//     --methods <list>        any of standard,cot,cod (default all three)
+//     --word-limits <list>    COD_WORD_LIMIT values to try with cod (default 5)
+//     --limit <n>             only the first n questions
+//     --concurrency <n>       requests in flight at once (default 4)
+//     --temperature <t>       sampling temperature (default 0)
+//     --max-tokens <n>        per reply (default 2048)
+//     --out <file>            also write every result and the summary as JSON
+//     --min-accuracy <0-1>    exit with an error if any configuration scores lower (for CI)
+//     --mock                  answer from an in-process mock upstream, no network or API keys needed
+// Real runs need the model's provider key in the environment, as the API routes do.
+const fs = require('fs');
+const { validateChatRequest } = require('../lib/validation');
+const { fetchWithFailover } = require('../lib/failover');
+const { costOf, estimateTokens, estimatePromptTokens } = require('../lib/usage');
+const { FINAL_ANSWER_INSTRUCTION, COT_PROMPT, codPrompt, extractFinalAnswer, answersMatch } = require('../shared/reasoning');
+const { startMockUpstream } = require('./mock-upstream');
+
+const DEFAULT_MODEL = 'deepseek-chat';
+const MOCK_MODEL = 'local/mock';
+const REQUEST_TIMEOUT = 120000;
+const METHODS = ['standard', 'cot', 'cod'];
+
+function parseArgs(argv) {
+  const options = {
+    methods: METHODS,
+    wordLimits: [5],
+    concurrency: 4,
+    temperature: 0,
+    maxTokens: 2048,
+    mock: false
+  };
+  const list = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--mock') options.mock = true;
+    else if (arg === '--model') options.model = value();
+    else if (arg === '--methods') options.methods = list(value()).map(method => method.toLowerCase());
+    else if (arg === '--word-limits') options.wordLimits = list(value()).map(Number);
+    else if (arg === '--limit') options.limit = parseInt(value(), 10);
+    else if (arg === '--concurrency') options.concurrency = Math.max(1, parseInt(value(), 10) || 1);
+    else if (arg === '--temperature') options.temperature = parseFloat(value());
+    else if (arg === '--max-tokens') options.maxTokens = parseInt(value(), 10);
+    else if (arg === '--out') options.out = value();
+    else if (arg === '--min-accuracy') options.minAccuracy = parseFloat(value());
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.dataset = arg;
+  }
+
+  if (!options.dataset) throw new Error('Name a JSONL dataset');
+  const unknown = options.methods.filter(method => !METHODS.includes(method));
+  if (unknown.length > 0) throw new Error(`Unknown method ${unknown.join(', ')}; use ${METHODS.join(', ')}`);
+  if (options.wordLimits.some(limit => !(limit > 0))) throw new Error('--word-limits must be positive numbers');
+  options.model = options.model || (options.mock ? MOCK_MODEL : DEFAULT_MODEL);
+  return options;
+}
+
+// One { question, answer, expected } per non-empty line; expected is the text after "####"
+function loadDataset(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').map((line, index) => {
+    if (!line.trim()) return null;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (parseError) {
+      throw new Error(`${file}:${index + 1}: ${parseError.message}`);
+    }
+    if (!row.question || row.answer === undefined) {
+      throw new Error(`${file}:${index + 1}: needs "question" and "answer"`);
+    }
+    const answer = String(row.answer);
+    return { question: row.question, answer, expected: extractFinalAnswer(answer) || answer.trim() };
+  }).filter(Boolean);
+}
+
+function buildConfigs(methods, wordLimits) {
+  return methods.flatMap(method => {
+    if (method === 'cod') return wordLimits.map(wordLimit => ({ label: `CoD-${wordLimit}`, method, wordLimit }));
+    return [{ label: method === 'cot' ? 'CoT' : 'Standard', method }];
+  });
+}
+
+// The browser's default prompts, each asking for the answer after "####" so it can be scored
+function systemPromptFor(config) {
+  if (config.method === 'cod') return codPrompt(config.wordLimit);
+  if (config.method === 'cot') return `${COT_PROMPT}\n\n${FINAL_ANSWER_INSTRUCTION}`;
+  return FINAL_ANSWER_INSTRUCTION;
+}
+
+// One completion through the provider gateway: { content, usage, latencyMs }
+async function complete(options, messages) {
+  const { body, route } = validateChatRequest({
+    model: options.model,
+    messages,
+    temperature: options.temperature,
+    max_tokens: options.maxTokens
+  });
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+  const startTime = Date.now();
+  try {
+    const { response, route: servedBy } = await fetchWithFailover(body, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`${servedBy.providerName} returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+    const data = await response.json();
+    const latencyMs = Date.now() - startTime;
+    const content = (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || '';
+    const usage = data.usage && data.usage.completion_tokens
+      ? { prompt_tokens: data.usage.prompt_tokens || 0, completion_tokens: data.usage.completion_tokens, estimated: false }
+      : { prompt_tokens: estimatePromptTokens(messages), completion_tokens: estimateTokens(content), estimated: true };
+    usage.cost_usd = costOf(servedBy.model.id || route.model.id, usage);
+    return { content, usage, latencyMs };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Run every (configuration, question) pair, `concurrency` at a time
+async function runBenchmark(options, examples, configs, onProgress) {
+  const tasks = configs.flatMap(config => examples.map((example, index) => ({ config, example, index })));
+  const results = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const { config, example, index } = tasks[next++];
+      const messages = [
+        { role: 'system', content: systemPromptFor(config) },
+        { role: 'user', content: example.question }
+      ];
+      try {
+        const { content, usage, latencyMs } = await complete(options, messages);
+        const predicted = extractFinalAnswer(content);
+        results.push({
+          config: config.label,
+          index,
+          expected: example.expected,
+          predicted,
+          correct: answersMatch(predicted, example.expected),
+          usage,
+          latencyMs
+        });
+      } catch (error) {
+        results.push({ config: config.label, index, expected: example.expected, error: error.message, correct: false });
+      }
+      onProgress(results.length, tasks.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(options.concurrency, tasks.length) }, worker));
+  return results;
+}
+
+function percentile(values, share) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(share * sorted.length) - 1)];
+}
+
+function summarize(configs, results) {
+  return configs.map(config => {
+    const rows = results.filter(result => result.config === config.label);
+    const answered = rows.filter(result => !result.error);
+    const sum = field => answered.reduce((total, result) => total + (result.usage[field] || 0), 0);
+    const latencies = answered.map(result => result.latencyMs);
+    const average = value => answered.length ? value / answered.length : null;
+    return {
+      config: config.label,
+      questions: rows.length,
+      correct: rows.filter(result => result.correct).length,
+      accuracy: rows.length ? rows.filter(result => result.correct).length / rows.length : 0,
+      errors: rows.length - answered.length,
+      avgPromptTokens: average(sum('prompt_tokens')),
+      avgCompletionTokens: average(sum('completion_tokens')),
+      totalTokens: sum('prompt_tokens') + sum('completion_tokens'),
+      costUsd: answered.some(result => result.usage.cost_usd !== null) ? sum('cost_usd') : null,
+      avgLatencyMs: average(latencies.reduce((total, ms) => total + ms, 0)),
+      p95LatencyMs: percentile(latencies, 0.95),
+      estimatedTokens: answered.some(result => result.usage.estimated)
+    };
+  });
+}
+
+function printReport(options, summary) {
+  const round = (value, digits = 0) => value === null ? '-' : value.toFixed(digits);
+  const columns = [
+    ['Config', row => row.config],
+    ['Accuracy', row => `${(row.accuracy * 100).toFixed(1)}% (${row.correct}/${row.questions})`],
+    ['Prompt tok', row => round(row.avgPromptTokens)],
+    ['Compl. tok', row => `${round(row.avgCompletionTokens)}${row.estimatedTokens ? '~' : ''}`],
+    ['Total tok', row => String(row.totalTokens)],
+    ['Cost', row => row.costUsd === null ? '-' : `$${row.costUsd.toFixed(4)}`],
+    ['Avg ms', row => round(row.avgLatencyMs)],
+    ['p95 ms', row => round(row.p95LatencyMs)],
+    ['Errors', row => String(row.errors)]
+  ];
+  const cells = summary.map(row => columns.map(([, format]) => format(row)));
+  const widths = columns.map(([title], index) => Math.max(title.length, ...cells.map(line => line[index].length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ');
+
+  console.log(`\nModel: ${options.model}${options.mock ? ' (mock upstream)' : ''}, temperature ${options.temperature}`);
+  console.log(line(columns.map(([title]) => title)));
+  cells.forEach(values => console.log(line(values)));
+  if (summary.some(row => row.estimatedTokens)) console.log('~ some token counts are estimates; the upstream sent no usage');
+
+  // What the app is about: completion tokens CoD saves over CoT on the same questions
+  const cot = summary.find(row => row.config === 'CoT');
+  if (cot && cot.avgCompletionTokens) {
+    summary.filter(row => row.config.startsWith('CoD-') && row.avgCompletionTokens !== null).forEach(row => {
+      const savings = 100 - (row.avgCompletionTokens / cot.avgCompletionTokens) * 100;
+      const accuracyChange = (row.accuracy - cot.accuracy) * 100;
+      console.log(`${row.config} vs CoT: ${savings.toFixed(1)}% fewer completion tokens, ` +
+        `accuracy ${accuracyChange >= 0 ? '+' : ''}${accuracyChange.toFixed(1)} points`);
+    });
+  }
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  let examples = loadDataset(options.dataset);
+  if (options.limit > 0) examples = examples.slice(0, options.limit);
+  if (examples.length === 0) throw new Error(`${options.dataset} has no questions`);
+  const configs = buildConfigs(options.methods, options.wordLimits);
+
+  let mock = null;
+  if (options.mock) {
+    mock = await startMockUpstream(examples);
+    process.env.LOCAL_LLM_BASE_URL = mock.url;
+  }
+
+  try {
+    console.log(`Running ${examples.length} questions x ${configs.length} configurations (${configs.map(c => c.label).join(', ')})`);
+    const results = await runBenchmark(options, examples, configs, (done, total) => {
+      if (done % 10 === 0 || done === total) process.stderr.write(`  ${done}/${total} done\n`);
+    });
+    const summary = summarize(configs, results);
+    printReport(options, summary);
+
+    if (options.out) {
+      fs.writeFileSync(options.out, JSON.stringify({ options, summary, results }, null, 2));
+      console.log(`Results written to ${options.out}`);
+    }
+
+    if (options.minAccuracy !== undefined) {
+      const failing = summary.filter(row => row.accuracy < options.minAccuracy);
+      if (failing.length > 0) {
+        console.error(`Below the minimum accuracy of ${options.minAccuracy}: ${failing.map(row => row.config).join(', ')}`);
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    if (mock) await mock.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,123 @@
+// scripts/mock-upstream.js
+// An OpenAI-compatible /chat/completions server for offline benchmark runs (see scripts/benchmark.js).
+// It answers questions from the dataset in the style the system prompt asks for - one line for
+// Standard, explained steps for CoT, steps cut to the word limit for CoD - and reports token usage.
+// A deterministic share of replies is wrong, so accuracy scoring is exercised too.
+const http = require('http');
+const { extractFinalAnswer } = require('../shared/reasoning');
+
+const DEFAULT_MISTAKE_RATE = 0.2;
+const DEFAULT_LATENCY_PER_TOKEN = 0.5;
+
+function countTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Stable 0-1 value for a string, so the same question and prompt always get the same reply
+function hashFraction(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+function detectStyle(systemPrompt) {
+  const limit = /\((\d+) words maximum per step\)/.exec(systemPrompt);
+  if (limit) return { method: 'cod', wordLimit: parseInt(limit[1], 10) };
+  if (/Explain your reasoning/.test(systemPrompt)) return { method: 'cot' };
+  return { method: 'standard' };
+}
+
+// A reply to one dataset question; `wrong` swaps in an off-by-one answer
+function composeReply(example, style, wrong) {
+  const steps = example.solution.split('\n').map(line => line.trim()).filter(Boolean);
+  const number = parseFloat(example.expected);
+  const answer = wrong ? (isNaN(number) ? 'unknown' : String(number + 1)) : example.expected;
+
+  if (style.method === 'cod') {
+    const drafts = steps.map(step => step.split(/\s+/).slice(0, style.wordLimit).join(' ').replace(/\.$/, ''));
+    return `${drafts.join('. ')}. #### ${answer}`;
+  }
+  if (style.method === 'cot') {
+    const explained = steps.map((step, index) =>
+      `Step ${index + 1}: Let's look at what the problem tells us and work this part out carefully. ${step} ` +
+      'This result is needed for the next part of the problem, so it is worth double-checking the arithmetic.');
+    return `${explained.join('\n\n')}\n\nTherefore, the final answer is ${answer}.\n\n#### ${answer}`;
+  }
+  return `The answer is ${answer}. #### ${answer}`;
+}
+
+// examples: [{ question, answer }] as in the dataset. Resolves to { url, close() } once listening;
+// point the local provider at it with LOCAL_LLM_BASE_URL=url.
+function startMockUpstream(examples, { mistakeRate = DEFAULT_MISTAKE_RATE, latencyPerToken = DEFAULT_LATENCY_PER_TOKEN } = {}) {
+  const byQuestion = new Map(examples.map(example => {
+    const separator = example.answer.lastIndexOf('####');
+    return [example.question.trim(), {
+      solution: separator === -1 ? '' : example.answer.slice(0, separator),
+      expected: extractFinalAnswer(example.answer) || example.answer.trim()
+    }];
+  }));
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      send(404, { error: { message: `No mock for ${req.method} ${req.url}` } });
+      return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let request;
+      try {
+        request = JSON.parse(raw);
+      } catch (parseError) {
+        send(400, { error: { message: 'Invalid JSON' } });
+        return;
+      }
+
+      const messages = request.messages || [];
+      const system = messages.find(message => message.role === 'system');
+      const question = [...messages].reverse().find(message => message.role === 'user');
+      const example = question && byQuestion.get(String(question.content).trim());
+      if (!example) {
+        send(400, { error: { message: 'The mock upstream only knows questions from the benchmark dataset' } });
+        return;
+      }
+
+      const systemPrompt = system ? system.content : '';
+      const wrong = hashFraction(`${systemPrompt}\n${question.content}`) < mistakeRate;
+      const content = composeReply(example, detectStyle(systemPrompt), wrong);
+      const promptTokens = messages.reduce((sum, message) => sum + 4 + countTokens(message.content), 0);
+      const completionTokens = countTokens(content);
+
+      setTimeout(() => send(200, {
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion',
+        model: request.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+      }), Math.round(completionTokens * latencyPerToken));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startMockUpstream
+};
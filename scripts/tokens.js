@@ -0,0 +1,51 @@
+// scripts/tokens.js
+// Manage per-user API tokens (see lib/auth.js). Needs MONGODB_URI and MONGODB_DB_NAME.
+//   node scripts/tokens.js create <user> [label]   prints the new token once; only its hash is stored
+//   node scripts/tokens.js list
+//   node scripts/tokens.js revoke <user>           revokes every token of that user
+const { generateUserToken, hashToken, withTokenCollection } = require('../lib/auth');
+const { closeDb } = require('../lib/mongo');
+
+async function main([command, user, ...labelWords]) {
+  if (command === 'create' && user) {
+    const token = generateUserToken();
+    await withTokenCollection(coll => coll.insertOne({
+      _id: hashToken(token),
+      user,
+      label: labelWords.join(' ') || user,
+      createdAt: new Date(),
+      lastUsedAt: null,
+      revokedAt: null
+    }));
+    console.log(`Token for ${user}:\n${token}`);
+    return;
+  }
+
+  if (command === 'list') {
+    const tokens = await withTokenCollection(coll => coll.find({}).sort({ user: 1, createdAt: 1 }).toArray());
+    tokens.forEach(token => {
+      const state = token.revokedAt ? `revoked ${token.revokedAt.toISOString()}` : 'active';
+      const used = token.lastUsedAt ? token.lastUsedAt.toISOString() : 'never';
+      console.log(`${token.user}\t${token.label}\t${state}\tlast used ${used}\t${token._id.slice(0, 12)}`);
+    });
+    if (tokens.length === 0) console.log('No tokens yet');
+    return;
+  }
+
+  if (command === 'revoke' && user) {
+    const result = await withTokenCollection(coll => coll.updateMany(
+      { user, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ));
+    console.log(`Revoked ${result.modifiedCount} token(s) for ${user}`);
+    return;
+  }
+
+  console.log('Usage: node scripts/tokens.js create <user> [label] | list | revoke <user>');
+  process.exitCode = 1;
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+}).finally(closeDb);
@@ -0,0 +1,95 @@
+// shared/reasoning.js
+// Default reasoning prompts and final-answer matching, used by the browser (index.html loads this file
+// as a script and gets globals) and by Node (scripts/benchmark.js requires it)
+(function (root) {
+  const FINAL_ANSWER_INSTRUCTION = "Write your final answer after the #### separator.";
+
+  const COT_PROMPT = `Think step by step to solve this problem. Explain your reasoning at each step, then provide your final answer.`;
+
+  // Chain of Draft with few-shot examples; wordLimit caps each step
+  function codPrompt(wordLimit) {
+    return `Think step by step, but produce only minimal notes for each step (${wordLimit} words maximum per step). Use mathematical notation where possible. Keep only essential information needed to solve the problem. Focus on key calculations and intermediate results without narrative explanation.
+
+Separate your steps with periods. ${FINAL_ANSWER_INSTRUCTION}
+
+Examples:
+Q: Jason had 20 lollipops. He gave Denny some lollipops. Now Jason has 12 lollipops. How many lollipops did Jason give to Denny?
+A: 20 initial. 12 remaining. 20 - 12 = 8. #### 8 lollipops
+
+Q: Roger has $125. He spends $55 on a video game and then receives $25 for his birthday. How much money does Roger have now?
+A: Start: $125. Spent: $55. 125 - 55 = $70. Received: $25. 70 + 25 = $95. #### $95
+
+Q: A square has a perimeter of 20 cm. What is its area?
+A: Perimeter = 20 cm. Side length = 20/4 = 5 cm. Area = 5² = 25 cm². #### 25 square centimeters
+
+Q: If a fabric store received 45 yards of cotton material and used 2/9 of it for a bulk order, how many yards of cotton material does the fabric store have left?
+A: Total: 45 yards. Used: 2/9 × 45 = 10 yards. Remaining: 45 - 10 = 35 yards. #### 35 yards
+
+Q: The temperature on Monday was -3°C. On Tuesday, it was 14°C. What was the change in temperature from Monday to Tuesday?
+A: Monday: -3°C. Tuesday: 14°C. Change: 14 - (-3) = 17°C. #### 17°C`;
+  }
+
+  // Helper function to normalize answers for better matching
+  function normalizeAnswer(answer) {
+    // Remove common prefixes
+    let normalized = answer.replace(/^(the answer is|therefore|thus|so|hence|the result is|we get|we find that|the final answer is|the value is|the solution is):\s*/i, "");
+
+    // Remove units for better matching (but preserve them for display)
+    const unitRegex = /\b(dollars|inches|feet|meters|pounds|kg|miles|km|years|days|hours|minutes|seconds|percent|degrees|watts|volts|amps|\$|%|°C|°F)\b/gi;
+
+    // Temporarily remove units for comparison
+    normalized = normalized.replace(unitRegex, "");
+
+    // Remove common formatting and punctuation, keeping only core answer
+    normalized = normalized.replace(/[.,;:!\s]+/g, " ").trim();
+
+    // Convert to lowercase for case-insensitive comparison
+    normalized = normalized.toLowerCase();
+
+    return normalized;
+  }
+
+  // Final answer after the last #### separator, up to the end of its line
+  function extractFinalAnswer(content) {
+    const separatorIndex = (content || "").lastIndexOf("####");
+    if (separatorIndex === -1) return null;
+    const answer = content.substring(separatorIndex + 4).trim().split("\n")[0].trim();
+    return answer || null;
+  }
+
+  // The number in an answer that is just a number, optionally with a unit word after it
+  // ("$1,250.00" -> 1250, "35 yards" -> 35), or null for anything else ("12 apples and 3 oranges", "3/4")
+  function answerNumber(answer) {
+    const text = answer.trim().toLowerCase()
+      .replace(/(\d),(?=\d{3}\b)/g, "$1")
+      .replace(/^\$/, "")
+      .replace(/(%|°[cf])$/, "")
+      .replace(/[.!]$/, "");
+    if (!/^-?\d+(\.\d+)?(\s+[a-z]+)?$/.test(text)) return null;
+    return parseFloat(text);
+  }
+
+  // Whether a model's answer matches the expected one: the same after normalizeAnswer, or, when both
+  // are a single number with at most a unit word ("35 yards" vs "35"), the same number
+  function answersMatch(predicted, expected) {
+    if (!predicted || !expected) return false;
+    if (normalizeAnswer(predicted) === normalizeAnswer(expected)) return true;
+    const expectedNumber = answerNumber(expected);
+    return expectedNumber !== null && answerNumber(predicted) === expectedNumber;
+  }
+
+  const api = {
+    FINAL_ANSWER_INSTRUCTION,
+    COT_PROMPT,
+    codPrompt,
+    normalizeAnswer,
+    extractFinalAnswer,
+    answersMatch
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    Object.assign(root, api);
+  }
+})(this);
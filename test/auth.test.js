@@ -0,0 +1,41 @@
+// test/auth.test.js
+// Passphrase sign-ins: each person gets their own user id, carried by the signed session: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.TEAM_PASSPHRASE = 'open sesame';
+delete process.env.AUTH_SECRET;
+delete process.env.AUTH_USER_TOKENS;
+
+const { login, identify } = require('../lib/auth');
+const { HttpError } = require('../lib/pipeline');
+
+test('gives each name its own user, whatever its case and spacing', async () => {
+  const alice = await login({ passphrase: 'open sesame', name: 'Alice  Smith' });
+  const bob = await login({ passphrase: 'open sesame', name: 'Bob' });
+  const aliceAgain = await login({ passphrase: 'open sesame', name: ' alice smith ' });
+
+  assert.strictEqual(alice.user.id, 'team:alice smith');
+  assert.strictEqual(alice.user.name, 'Alice Smith');
+  assert.notStrictEqual(alice.user.id, bob.user.id);
+  assert.strictEqual(aliceAgain.user.id, alice.user.id);
+});
+
+test('the session token identifies the person who signed in', async () => {
+  const { token } = await login({ passphrase: 'open sesame', name: 'Bob' });
+  const user = await identify(`Bearer ${token}`);
+  assert.deepStrictEqual(user, { id: 'team:bob', name: 'Bob', method: 'session' });
+
+  // A tampered payload no longer matches the signature
+  const [payload, signature] = token.slice(3).split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64')), sub: 'team:alice' }))
+    .toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  assert.strictEqual(await identify(`Bearer s2.${forged}.${signature}`), null);
+});
+
+test('refuses a passphrase sign-in without a name', async () => {
+  await assert.rejects(
+    login({ passphrase: 'open sesame', name: '  ' }),
+    error => error instanceof HttpError && error.status === 400
+  );
+});
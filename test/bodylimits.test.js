@@ -0,0 +1,66 @@
+// test/bodylimits.test.js
+// Request body limits of the ingest and thread sync routes, just under and just over: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_INGEST_BODY_BYTES } = require('../lib/documents');
+const { MAX_THREAD_BODY_BYTES } = require('../lib/threads');
+
+// The routes run without authentication or a database; requests under the limit stop at validation
+delete process.env.TEAM_PASSPHRASE;
+delete process.env.AUTH_USER_TOKENS;
+delete process.env.ALLOWED_ORIGINS;
+process.env.MONGODB_URI = 'mongodb://localhost:27017';
+process.env.MONGODB_DB_NAME = 'test';
+
+const handleIngest = require('../api/ingest');
+const handleThreads = require('../api/threads');
+
+// A JSON body of exactly `bytes` bytes: the given fields padded with a filler string
+function bodyOfSize(fields, bytes) {
+  const empty = JSON.stringify({ ...fields, padding: '' });
+  return JSON.stringify({ ...fields, padding: 'x'.repeat(bytes - empty.length) });
+}
+
+// Call a Node handler with a request whose body was already read, as Vercel does
+async function send(handler, { method, url, body }) {
+  const req = { method, url, headers: {}, body };
+  const res = {
+    statusCode: 200,
+    writableEnded: false,
+    body: '',
+    on: () => {},
+    setHeader: () => {},
+    end(text) {
+      this.body = text || '';
+      this.writableEnded = true;
+    }
+  };
+  await handler(req, res);
+  return { status: res.statusCode, body: res.body ? JSON.parse(res.body) : null };
+}
+
+test('ingest accepts a body at its limit and refuses one byte more', async () => {
+  const request = { method: 'POST', url: '/api/ingest' };
+
+  const under = await send(handleIngest, { ...request, body: bodyOfSize({ files: [] }, MAX_INGEST_BODY_BYTES) });
+  assert.strictEqual(under.status, 400);
+  assert.strictEqual(under.body.error, 'At least one file is required');
+
+  const over = await send(handleIngest, { ...request, body: bodyOfSize({ files: [] }, MAX_INGEST_BODY_BYTES + 1) });
+  assert.strictEqual(over.status, 413);
+});
+
+test('ingest fits the upload dialog: ten 3MB files, base64-encoded', () => {
+  assert.ok(MAX_INGEST_BODY_BYTES >= 10 * Math.ceil(3 * 1024 * 1024 / 3) * 4);
+});
+
+test('thread sync accepts a body at its limit and refuses one byte more', async () => {
+  const request = { method: 'POST', url: '/api/threads' };
+
+  const under = await send(handleThreads, { ...request, body: bodyOfSize({}, MAX_THREAD_BODY_BYTES) });
+  assert.strictEqual(under.status, 400);
+  assert.strictEqual(under.body.message, 'Thread messages must be an array');
+
+  const over = await send(handleThreads, { ...request, body: bodyOfSize({}, MAX_THREAD_BODY_BYTES + 1) });
+  assert.strictEqual(over.status, 413);
+});
@@ -0,0 +1,51 @@
+// test/documents.test.js
+// Chunking of extracted pages for the knowledge base: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { chunkPages } = require('../lib/documents');
+
+// Paragraphs of 40 distinct words (230 characters), separated by blank lines
+function paragraph(index) {
+  return Array.from({ length: 40 }, (_, word) => `p${index}w${word}`).join(' ') + '.';
+}
+const text = Array.from({ length: 6 }, (_, index) => paragraph(index)).join('\n\n');
+
+test('breaks at paragraph boundaries and loses nothing without overlap', () => {
+  const chunks = chunkPages([{ page: 1, text }], { source: 'notes.txt', chunkSize: 700, chunkOverlap: 0 });
+
+  assert.strictEqual(chunks.length, 2);
+  chunks.forEach(chunk => assert.ok(chunk.text.length <= 700));
+  assert.strictEqual(chunks.map(chunk => chunk.text).join('\n\n'), text);
+});
+
+test('starts each chunk with whole words from the end of the previous one', () => {
+  const chunks = chunkPages([{ page: 1, text }], { source: 'notes.txt', chunkSize: 700, chunkOverlap: 100 });
+
+  assert.ok(chunks.length > 2);
+  for (let i = 1; i < chunks.length; i++) {
+    const firstWord = chunks[i].text.split(' ')[0];
+    assert.match(firstWord, /^p\dw\d+$/);
+    const carried = chunks[i].text.slice(0, chunks[i].text.indexOf('\n\n'));
+    assert.ok(carried.length <= 100);
+    assert.ok(chunks[i - 1].text.endsWith(carried), `chunk ${i} should start with the end of chunk ${i - 1}`);
+  }
+});
+
+test('keeps chunks within a page and numbers them across pages', () => {
+  const chunks = chunkPages([
+    { page: 1, text },
+    { page: 2, text: '   ' },
+    { page: 3, text: paragraph(9) }
+  ], { source: 'report.pdf', chunkSize: 700, chunkOverlap: 100 });
+
+  const last = chunks[chunks.length - 1];
+  assert.strictEqual(last.page, 3);
+  assert.strictEqual(last.text, paragraph(9));
+  assert.deepStrictEqual(chunks.map(chunk => chunk.chunkIndex), chunks.map((chunk, index) => index));
+  chunks.forEach(chunk => assert.strictEqual(chunk.source, 'report.pdf'));
+});
+
+test('hard-splits text with no boundaries at the chunk size', () => {
+  const chunks = chunkPages([{ page: 1, text: 'x'.repeat(250) }], { chunkSize: 100, chunkOverlap: 0 });
+  assert.deepStrictEqual(chunks.map(chunk => chunk.text.length), [100, 100, 50]);
+});
@@ -0,0 +1,84 @@
+// test/pipeline.test.js
+// Shared route middleware: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { HttpError, cors, requestLogger } = require('../lib/pipeline');
+
+function createContext(headers = {}) {
+  const responseHeaders = {};
+  return {
+    method: 'GET',
+    path: '/api/test',
+    header: name => headers[name] || null,
+    setHeader: (name, value) => { responseHeaders[name] = value; },
+    responseHeaders
+  };
+}
+
+async function corsHeaders(env) {
+  const saved = { ...process.env };
+  delete process.env.ALLOWED_ORIGINS;
+  delete process.env.TEAM_PASSPHRASE;
+  delete process.env.AUTH_USER_TOKENS;
+  Object.assign(process.env, env);
+  try {
+    const ctx = createContext({ origin: 'https://elsewhere.example', host: 'app.example' });
+    await cors({ methods: ['GET'] })(ctx, async () => ({ status: 200 }));
+    return ctx.responseHeaders;
+  } finally {
+    process.env = saved;
+  }
+}
+
+test('cors allows any origin when sign-in is off and no origins are listed', async () => {
+  const headers = await corsHeaders({});
+  assert.strictEqual(headers['Access-Control-Allow-Origin'], '*');
+});
+
+test('cors sends no allowed origin when sign-in is required and no origins are listed', async () => {
+  const headers = await corsHeaders({ TEAM_PASSPHRASE: 'open sesame' });
+  assert.strictEqual(headers['Access-Control-Allow-Origin'], undefined);
+});
+
+// The lines requestLogger writes while run() goes
+async function loggedLines(run) {
+  const lines = [];
+  const log = console.log;
+  console.log = line => lines.push(line);
+  try {
+    await run();
+  } catch (error) {
+    // Only the log line matters here; the next test checks the error is passed on
+  } finally {
+    console.log = log;
+  }
+  return lines;
+}
+
+test('requestLogger logs successes and errors with their status', async () => {
+  const logger = requestLogger('Test API');
+
+  const ok = await loggedLines(() => logger(createContext(), async () => ({ status: 201 })));
+  assert.match(ok[0], /^Test API: GET \/api\/test -> 201 in \d+ms$/);
+
+  const refused = await loggedLines(() => logger(createContext(), async () => {
+    throw new HttpError(404, 'Not found', 'No such thing');
+  }));
+  assert.match(refused[0], /-> 404 in \d+ms$/);
+
+  const crashed = await loggedLines(() => logger(createContext(), async () => {
+    throw new Error('boom');
+  }));
+  assert.match(crashed[0], /-> 500 in \d+ms$/);
+});
+
+test('requestLogger passes errors on', async () => {
+  const logger = requestLogger('Test API');
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await assert.rejects(logger(createContext(), async () => { throw new HttpError(403, 'Forbidden'); }), HttpError);
+  } finally {
+    console.log = log;
+  }
+});
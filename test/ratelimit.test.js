@@ -0,0 +1,81 @@
+// test/ratelimit.test.js
+// The rate limit middleware against stores that fail or refuse: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { rateLimit } = require('../lib/ratelimit');
+const { HttpError } = require('../lib/pipeline');
+
+function createContext() {
+  const headers = {};
+  return {
+    state: { user: { id: 'alice' } },
+    body: { max_tokens: 500 },
+    header: () => null,
+    setHeader: (name, value) => { headers[name] = value; },
+    headers
+  };
+}
+
+const failingStore = {
+  hit: async () => { throw new Error('connection refused'); },
+  getTokens: async () => { throw new Error('connection refused'); },
+  addTokens: async () => { throw new Error('connection refused'); },
+  listTokens: async () => { throw new Error('connection refused'); }
+};
+
+test('lets requests through when the store fails', async () => {
+  const limit = rateLimit({ getModel: () => 'test-model', store: failingStore });
+  const ctx = createContext();
+  let handled = false;
+
+  const result = await limit(ctx, async () => {
+    handled = true;
+    ctx.state.usage = { total_tokens: 42 };
+    return { status: 200, body: {} };
+  });
+
+  assert.strictEqual(handled, true);
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(ctx.body.max_tokens, 500);
+  assert.deepStrictEqual(ctx.headers, {});
+});
+
+test('still refuses requests over the limit when the store works', async () => {
+  const store = {
+    ...failingStore,
+    hit: async () => ({ allowed: false, count: 30, resetAt: Date.now() + 30000 })
+  };
+  const limit = rateLimit({ getModel: () => 'test-model', store });
+
+  await assert.rejects(
+    limit(createContext(), async () => assert.fail('handler should not run')),
+    error => error instanceof HttpError && error.status === 429
+  );
+});
+
+test('charges a finished stream but not one whose upstream failed', async () => {
+  const charged = [];
+  const store = {
+    hit: async () => ({ allowed: true, count: 1, resetAt: Date.now() + 60000 }),
+    getTokens: async () => 0,
+    addTokens: async (key, day, tokens) => { charged.push(tokens); },
+    listTokens: async () => []
+  };
+  const limit = rateLimit({ getModel: () => 'test-model', store });
+
+  const runStream = async (failed) => {
+    const ctx = createContext();
+    const result = await limit(ctx, async () => ({
+      status: 200,
+      stream: async () => {
+        ctx.state.usage = { total_tokens: 120 };
+        if (failed) ctx.state.upstreamFailed = true;
+      }
+    }));
+    await result.stream({ write: () => {} });
+  };
+
+  await runStream(false);
+  await runStream(true);
+  assert.deepStrictEqual(charged, [120]);
+});
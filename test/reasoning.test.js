@@ -0,0 +1,18 @@
+// test/reasoning.test.js
+// Final-answer matching used to score benchmark and self-consistency answers: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { answersMatch } = require('../shared/reasoning');
+
+test('matches the same number with formatting or a unit word', () => {
+  assert.ok(answersMatch('35 yards', '35'));
+  assert.ok(answersMatch('$1,250.00', '1250'));
+  assert.ok(answersMatch('17°C', '17'));
+  assert.ok(answersMatch('2.5 hours.', '2.5'));
+});
+
+test('does not match a number found elsewhere in the answer', () => {
+  assert.ok(!answersMatch('12 apples and 3 oranges', '12'));
+  assert.ok(!answersMatch('3/4', '3'));
+  assert.ok(!answersMatch('Step 2 ... 42', '2'));
+});
@@ -0,0 +1,92 @@
+// test/threads.test.js
+// Thread sync: per-message last-writer-wins merging, deletions and revision-guarded saves: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeThread, mergeThreads, saveThread } = require('../lib/threads');
+
+function thread(messages, extra = {}) {
+  return normalizeThread({ id: 1, name: 'Thread 1', createdAt: 1, updatedAt: 100, messages, ...extra });
+}
+
+function message(id, content, updatedAt, timestamp = Number(id.slice(1))) {
+  return { id, sender: 'user', content, timestamp, updatedAt };
+}
+
+test('keeps the newer copy of each message and messages from both sides', () => {
+  const existing = thread([message('m1', 'first', 10), message('m2', 'edited here', 50), message('m3', 'only here', 10)]);
+  const incoming = thread([message('m1', 'edited there', 40), message('m2', 'stale', 20), message('m4', 'only there', 10)]);
+
+  const merged = mergeThreads(existing, incoming);
+  assert.deepStrictEqual(merged.messages.map(msg => [msg.id, msg.content]), [
+    ['m1', 'edited there'],
+    ['m2', 'edited here'],
+    ['m3', 'only here'],
+    ['m4', 'only there']
+  ]);
+});
+
+test('a deletion wins over earlier edits but not later ones', () => {
+  const existing = thread([message('m1', 'kept', 10), message('m2', 'old', 20), message('m3', 'edited later', 90)]);
+  const incoming = thread([message('m1', 'kept', 10)], {
+    deletedMessages: [{ id: 'm2', deletedAt: 60 }, { id: 'm3', deletedAt: 60 }]
+  });
+
+  const merged = mergeThreads(existing, incoming);
+  assert.deepStrictEqual(merged.messages.map(msg => msg.id), ['m1', 'm3']);
+  assert.deepStrictEqual(merged.deletedMessages, [{ id: 'm2', deletedAt: 60 }, { id: 'm3', deletedAt: 60 }]);
+
+  // The tombstone keeps a stale copy from bringing the message back
+  const again = mergeThreads(merged, thread([message('m2', 'old', 20)]));
+  assert.deepStrictEqual(again.messages.map(msg => msg.id), ['m1', 'm3']);
+});
+
+// A stored thread for saveThread: replaceOne only succeeds against the current revision, and
+// beforeReplace lets a test slip in another device's write
+function createCollection(doc, beforeReplace = async () => {}) {
+  const coll = {
+    doc,
+    async findOne() {
+      return coll.doc && { ...coll.doc };
+    },
+    async replaceOne(filter, replacement) {
+      await beforeReplace(coll);
+      if (coll.doc.revision !== filter.revision) return { matchedCount: 0 };
+      coll.doc = replacement;
+      return { matchedCount: 1 };
+    },
+    async insertOne(inserted) {
+      coll.doc = inserted;
+    }
+  };
+  return coll;
+}
+
+test('a save that lost a revision race merges again with the newer copy', async () => {
+  const stored = { ...thread([message('m1', 'first', 10)]), _id: 'alice|1', owner: 'alice', revision: 1 };
+  let raced = false;
+  const coll = createCollection(stored, async (current) => {
+    if (raced) return;
+    raced = true;
+    // Another device saved m2 after this request read revision 1
+    current.doc = { ...current.doc, messages: [...current.doc.messages, message('m2', 'from the phone', 30)], revision: 2 };
+  });
+
+  const result = await saveThread(coll, 'alice', thread([message('m1', 'first', 10), message('m3', 'from the laptop', 40)]));
+
+  assert.strictEqual(result.thread.revision, 3);
+  assert.deepStrictEqual(result.thread.messages.map(msg => msg.id), ['m1', 'm2', 'm3']);
+  assert.strictEqual(coll.doc.revision, 3);
+  assert.strictEqual(coll.doc.owner, 'alice');
+});
+
+test('a deleted thread stays deleted unless the incoming copy is newer', async () => {
+  const deleted = { ...thread([]), _id: 'alice|1', owner: 'alice', revision: 4, deletedAt: 200 };
+
+  const stale = await saveThread(createCollection({ ...deleted }), 'alice', thread([message('m1', 'old', 10)]));
+  assert.strictEqual(stale.deleted, true);
+
+  const revived = await saveThread(createCollection({ ...deleted }), 'alice', thread([message('m1', 'new', 250)], { updatedAt: 300 }));
+  assert.strictEqual(revived.deleted, undefined);
+  assert.deepStrictEqual(revived.thread.messages.map(msg => msg.content), ['new']);
+  assert.strictEqual(revived.thread.revision, 5);
+});
@@ -0,0 +1,55 @@
+// test/validation.test.js
+// Chat completion request validation and per-model defaults: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.FIREWORKS_API_KEY = 'test-key';
+process.env.DEEPSEEK_API_KEY = 'test-key';
+
+const { validateChatRequest } = require('../lib/validation');
+const { HttpError } = require('../lib/pipeline');
+
+const LLAMA = 'accounts/fireworks/models/llama-v3p3-70b-instruct';
+
+test('drops fields the schema does not declare', () => {
+  const { body } = validateChatRequest({
+    model: LLAMA,
+    messages: [{ role: 'user', content: 'Hi', reasoningMethod: 'cot', id: 42 }],
+    max_tokens: 100,
+    api_key: 'sk-leaked',
+    metadata: { thread: 1 }
+  });
+
+  assert.deepStrictEqual(Object.keys(body).sort(), [
+    'frequency_penalty', 'max_tokens', 'messages', 'model', 'presence_penalty', 'temperature', 'top_p'
+  ]);
+  assert.deepStrictEqual(body.messages, [{ role: 'user', content: 'Hi' }]);
+});
+
+test('applies the default max_tokens and sampling settings the client left out', () => {
+  const { body } = validateChatRequest({ model: LLAMA, messages: [{ role: 'user', content: 'Hi' }], temperature: 1.2 });
+
+  assert.strictEqual(body.max_tokens, 4008);
+  assert.strictEqual(body.temperature, 1.2);
+  assert.strictEqual(body.top_p, 1);
+  assert.strictEqual(body.presence_penalty, 0);
+  assert.strictEqual(body.frequency_penalty, 0);
+});
+
+test('caps max_tokens at the model limit and leaves sampling to reasoning models', () => {
+  const chat = validateChatRequest({ model: 'deepseek-chat', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 20000 });
+  assert.strictEqual(chat.body.max_tokens, 8192);
+
+  const reasoner = validateChatRequest({ model: 'deepseek-reasoner', messages: [{ role: 'user', content: 'Hi' }] });
+  assert.strictEqual(reasoner.body.max_tokens, 4008);
+  assert.strictEqual(reasoner.body.temperature, undefined);
+  assert.strictEqual(reasoner.body.top_p, undefined);
+});
+
+test('lists every problem in one 400', () => {
+  assert.throws(
+    () => validateChatRequest({ model: LLAMA, messages: [{ role: 'robot', content: 'Hi' }], temperature: 5 }),
+    error => error instanceof HttpError && error.status === 400 &&
+      error.details.errors.map(problem => problem.field).sort().join() === 'messages[0].role,temperature'
+  );
+});